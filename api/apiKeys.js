@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// ========== API KEYS ==========
+// Keys are "sk_" + 32 bytes from the CSPRNG. The database only keeps a SHA-256 hash (to look the
+// key up) and a short prefix (to show which key is which), so the full key exists only in the
+// response that created it. Keys carry 256 bits of entropy, which is why a plain unsalted hash is
+// enough here - there is nothing to brute-force.
+const KEY_PREFIX = 'sk_';
+const DISPLAY_LENGTH = 10;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function displayPrefix(key) {
+  return String(key).substring(0, DISPLAY_LENGTH);
+}
+
+function looksLikeApiKey(value) {
+  return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+}
+
+// -> { key, hash, prefix }; only key is secret and it must never be stored
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, hash: hashApiKey(key), prefix: displayPrefix(key) };
+}
+
+// ========== IP ALLOWLISTS ==========
+// A key may carry allowedIps: plain addresses or CIDR ranges, IPv4 or IPv6. Empty means anywhere.
+const MAX_ALLOWED_IPS = 20;
+
+// IPv4 clients often show up as IPv4-mapped IPv6 ("::ffff:1.2.3.4")
+function normalizeIp(ip) {
+  const value = String(ip || '').trim();
+  return value.startsWith('::ffff:') && net.isIPv4(value.substring(7)) ? value.substring(7) : value;
+}
+
+// -> { allowedIps } or { error }; accepts an array or a comma/newline separated string
+function parseAllowedIps(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const allowedIps = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+
+  if (allowedIps.length > MAX_ALLOWED_IPS) {
+    return { error: `At most ${MAX_ALLOWED_IPS} IP addresses or ranges per key` };
+  }
+
+  for (const entry of allowedIps) {
+    const [address, bits, extra] = entry.split('/');
+    const family = net.isIP(address);
+    const maxBits = family === 6 ? 128 : 32;
+
+    if (!family || extra !== undefined ||
+        (bits !== undefined && !(/^\d+$/.test(bits) && Number(bits) <= maxBits))) {
+      return { error: `Invalid IP address or CIDR range: ${entry}` };
+    }
+  }
+
+  return { allowedIps };
+}
+
+function isIpAllowed(allowedIps, ip) {
+  const entries = Object.values(allowedIps || {});
+  if (entries.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  entries.forEach(entry => {
+    const [base, bits] = entry.split('/');
+    const type = net.isIP(base) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) {
+      blockList.addAddress(base, type);
+    } else {
+      blockList.addSubnet(base, Number(bits), type);
+    }
+  });
+
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// ========== REQUEST SIGNING ==========
+// Instead of api_key a client can send X-Key-Id, X-Timestamp (unix seconds), X-Nonce and
+// X-Signature = "sha256=" + HMAC-SHA256(signing secret, string to sign). The string to sign is the
+// method, path, raw query string (without "?"), timestamp, nonce and raw body joined with "\n".
+// Unlike API keys the signing secret has to be kept readable - the server recomputes the HMAC.
+function generateSigningCredentials() {
+  return {
+    keyId: 'kid_' + crypto.randomBytes(12).toString('hex'),
+    secret: 'sks_' + crypto.randomBytes(32).toString('base64url')
+  };
+}
+
+function looksLikeSigningKeyId(value) {
+  return typeof value === 'string' && /^kid_[0-9a-f]{24}$/.test(value);
+}
+
+function buildStringToSign({ method, path, query, timestamp, nonce, body }) {
+  return [String(method).toUpperCase(), path, query || '', timestamp, nonce, body || ''].join('\n');
+}
+
+function signRequest(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(buildStringToSign(parts)).digest('hex');
+}
+
+function signatureMatches(expected, provided) {
+  const signature = String(provided || '').replace(/^sha256=/, '');
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(signature, 'hex');
+  return a.length === b.length && b.length > 0 && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  generateApiKey,
+  hashApiKey,
+  displayPrefix,
+  looksLikeApiKey,
+  normalizeIp,
+  parseAllowedIps,
+  isIpAllowed,
+  generateSigningCredentials,
+  looksLikeSigningKeyId,
+  buildStringToSign,
+  signRequest,
+  signatureMatches
+};
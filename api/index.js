@@ -1,8 +1,17 @@
-const axios = require('axios');
 const admin = require('firebase-admin');
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { createProviders } = require('./providers');
+const {
+  generateApiKey, hashApiKey, displayPrefix, looksLikeApiKey, normalizeIp, parseAllowedIps, isIpAllowed,
+  generateSigningCredentials, looksLikeSigningKeyId, signRequest, signatureMatches
+} = require('./apiKeys');
 
 const app = express();
 
@@ -11,11 +20,17 @@ app.use(cors({
   origin: '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Key-Id', 'X-Timestamp', 'X-Nonce', 'X-Signature'],
+  exposedHeaders: ['Idempotent-Replayed', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Signed requests are verified against the exact bytes the client sent
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer.toString('utf8');
+};
+
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Firebase Initialization
 try {
@@ -39,6 +54,48 @@ try {
 const API_KEY = process.env.API_KEY || "api key ko ve vercel ke env me dalna hai ";
 const ADMIN_UID = process.env.ADMIN_UID || "admin ka firebase uid de alna hai env me ";
 
+// Upstream OTP providers. FireXOTP is built in; more SMS-Activate style upstreams can be
+// added through OTP_PROVIDERS, e.g. {"smsactivate":{"baseUrl":"https://.../stubs/handler_api.php","apiKey":"..."}}
+const DEFAULT_PROVIDER = 'firexotp';
+
+function loadProviderConfigs() {
+  const configs = {
+    firexotp: {
+      type: 'handler_api',
+      baseUrl: 'https://firexotp.com/stubs/handler_api.php',
+      apiKey: API_KEY
+    }
+  };
+
+  if (process.env.OTP_PROVIDERS) {
+    try {
+      Object.assign(configs, JSON.parse(process.env.OTP_PROVIDERS));
+    } catch (error) {
+      console.error('❌ Invalid OTP_PROVIDERS config:', error.message);
+    }
+  }
+
+  // Point every upstream at the local stand-in (npm run mock-provider) so nothing real is bought
+  if (process.env.MOCK_PROVIDER_URL) {
+    Object.keys(configs).forEach(name => {
+      configs[name] = { ...configs[name], baseUrl: process.env.MOCK_PROVIDER_URL };
+    });
+    console.log(`🧪 Using mock OTP provider at ${process.env.MOCK_PROVIDER_URL}`);
+  }
+
+  return configs;
+}
+
+const providers = createProviders(loadProviderConfigs());
+
+function getProvider(name) {
+  const provider = providers[name || DEFAULT_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown OTP provider: ${name}`);
+  }
+  return provider;
+}
+
 // Rate limiting
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -48,33 +105,184 @@ const apiLimiter = rateLimit({
 
 app.use('/api', apiLimiter);
 
-// Countries Database (FIXED with correct codes)
-const countries = {
-  'philippines_51': { code: '51', name: 'WhatsApp Philippines', country: 'Philippines', price: 52, flag: '🇵🇭' },
-  'india_115': { code: '115', name: 'WhatsApp Indian', country: 'India', price: 103, flag: '🇮🇳' },
-  'vietnam_118': { code: '118', name: 'WhatsApp Vietnam', country: 'Vietnam', price: 61, flag: '🇻🇳' },
-  'india_66': { code: '66', name: 'WhatsApp Indian', country: 'India', price: 140, flag: '🇮🇳' },
-  'fire_premium_106': { code: '106', name: 'Fire Server Premium 1', country: 'India', price: 79, flag: '🇮🇳' },
-  'southafrica_52': { code: '52', name: 'WhatsApp South Africa', country: 'South Africa', price: 45, flag: '🇿🇦' },
-  'colombia_53': { code: '53', name: 'WhatsApp Colombia', country: 'Colombia', price: 71, flag: '🇨🇴' },
-  'philippines2_117': { code: '117', name: 'WhatsApp Philippines 2', country: 'Philippines', price: 64, flag: '🇵🇭' },
-  'indonesia_54': { code: '54', name: 'WhatsApp Indonesia', country: 'Indonesia', price: 49, flag: '🇮🇩' },
-  'telegram_usa_123': { code: '123', name: 'Telegram USA', country: 'USA', price: 65, flag: '🇺🇸' },
-  'telegram_usa2_124': { code: '124', name: 'Telegram USA 2', country: 'USA', price: 92, flag: '🇺🇸' }
+// Default service types (the app being verified), only used to seed the database.
+// providerCode is the upstream "service" parameter; providerCodes overrides it per provider.
+const defaultServiceTypes = {
+  'whatsapp': { name: 'WhatsApp', providerCode: 'wa', order: 0 },
+  'telegram': { name: 'Telegram', providerCode: 'tg', order: 1 },
+  'google': { name: 'Google', providerCode: 'go', order: 2 },
+  'facebook': { name: 'Facebook', providerCode: 'fb', order: 3 },
+  'instagram': { name: 'Instagram', providerCode: 'ig', order: 4 }
+};
+
+// Default catalog (service type x country/operator), only used to seed the database catalog on first run
+const defaultCatalog = {
+  'philippines_51': { service: 'whatsapp', countryId: 'philippines', code: '51', name: 'WhatsApp Philippines', country: 'Philippines', price: 52, provider: 'firexotp', flag: '🇵🇭' },
+  'india_115': { service: 'whatsapp', countryId: 'india', code: '115', name: 'WhatsApp Indian', country: 'India', price: 103, provider: 'firexotp', flag: '🇮🇳' },
+  'vietnam_118': { service: 'whatsapp', countryId: 'vietnam', code: '118', name: 'WhatsApp Vietnam', country: 'Vietnam', price: 61, provider: 'firexotp', flag: '🇻🇳' },
+  'india_66': { service: 'whatsapp', countryId: 'india', code: '66', name: 'WhatsApp Indian', country: 'India', price: 140, provider: 'firexotp', flag: '🇮🇳' },
+  'fire_premium_106': { service: 'whatsapp', countryId: 'india', code: '106', name: 'Fire Server Premium 1', country: 'India', price: 79, provider: 'firexotp', flag: '🇮🇳' },
+  'southafrica_52': { service: 'whatsapp', countryId: 'southafrica', code: '52', name: 'WhatsApp South Africa', country: 'South Africa', price: 45, provider: 'firexotp', flag: '🇿🇦' },
+  'colombia_53': { service: 'whatsapp', countryId: 'colombia', code: '53', name: 'WhatsApp Colombia', country: 'Colombia', price: 71, provider: 'firexotp', flag: '🇨🇴' },
+  'philippines2_117': { service: 'whatsapp', countryId: 'philippines', code: '117', name: 'WhatsApp Philippines 2', country: 'Philippines', price: 64, provider: 'firexotp', flag: '🇵🇭' },
+  'indonesia_54': { service: 'whatsapp', countryId: 'indonesia', code: '54', name: 'WhatsApp Indonesia', country: 'Indonesia', price: 49, provider: 'firexotp', flag: '🇮🇩' },
+  'telegram_usa_123': { service: 'telegram', countryId: 'usa', code: '123', name: 'Telegram USA', country: 'USA', price: 65, provider: 'firexotp', flag: '🇺🇸' },
+  'telegram_usa2_124': { service: 'telegram', countryId: 'usa', code: '124', name: 'Telegram USA 2', country: 'USA', price: 92, provider: 'firexotp', flag: '🇺🇸' }
 };
 
+// ========== SERVICE CATALOG ==========
+const CATALOG_CACHE_TTL = 60 * 1000;
+const catalogCache = {};
+
+function toCountryId(country) {
+  return String(country || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Reads a catalog node with an in-process cache, seeding it on first run
+async function readCatalogNode(path, seed) {
+  const cached = catalogCache[path];
+  if (cached && Date.now() - cached.time < CATALOG_CACHE_TTL) {
+    return cached.value;
+  }
+  
+  const nodeRef = admin.database().ref(path);
+  const snapshot = await nodeRef.once('value');
+  let value = snapshot.val();
+  
+  if (!value) {
+    value = seed();
+    await nodeRef.set(value);
+    console.log(`✅ ${path} seeded from defaults`);
+  }
+  
+  catalogCache[path] = { value, time: Date.now() };
+  return value;
+}
+
+function invalidateCatalogCache() {
+  Object.keys(catalogCache).forEach(path => delete catalogCache[path]);
+}
+
+async function getServiceTypes() {
+  return readCatalogNode('serviceTypes', () => {
+    const serviceTypes = {};
+    Object.entries(defaultServiceTypes).forEach(([id, serviceType]) => {
+      serviceTypes[id] = { ...serviceType, enabled: true, createdAt: Date.now(), updatedAt: Date.now() };
+    });
+    return serviceTypes;
+  });
+}
+
+// Full catalog (including disabled entries), cached in-process
+async function getCatalog() {
+  const catalog = await readCatalogNode('catalog', () => {
+    const seeded = {};
+    Object.entries(defaultCatalog).forEach(([key, service], index) => {
+      seeded[key] = {
+        ...service,
+        cost: null,
+        enabled: true,
+        order: index,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+    });
+    return seeded;
+  });
+  
+  // Entries created before service types existed were all bought as WhatsApp
+  Object.entries(catalog).forEach(([key, service]) => {
+    if (!service.service) service.service = defaultCatalog[key]?.service || 'whatsapp';
+    if (!service.countryId) service.countryId = toCountryId(service.country);
+  });
+  
+  return catalog;
+}
+
+// Enabled entries in display order
+async function getActiveServices() {
+  const catalog = await getCatalog();
+  const serviceTypes = await getServiceTypes();
+  const services = {};
+  
+  Object.entries(catalog)
+    .filter(([, service]) => service.enabled !== false)
+    .filter(([, service]) => serviceTypes[service.service]?.enabled !== false)
+    .sort(([, a], [, b]) => (a.order || 0) - (b.order || 0))
+    .forEach(([key, service]) => {
+      services[key] = service;
+    });
+  
+  return services;
+}
+
+// Upstream "service" parameter for a catalog entry on a given provider
+function getProviderServiceCode(serviceType, providerName) {
+  return serviceType?.providerCodes?.[providerName] || serviceType?.providerCode || 'wa';
+}
+
+// A catalog key (india_115), or a service type + country pair (service=telegram&country=usa)
+function findCatalogEntry(catalog, country, serviceId) {
+  if (catalog[country]) {
+    return { key: country, service: catalog[country] };
+  }
+  
+  if (!serviceId) return null;
+  
+  const countryId = toCountryId(country);
+  const match = Object.entries(catalog)
+    .filter(([, service]) => service.service === serviceId && service.countryId === countryId && service.enabled !== false)
+    .sort(([, a], [, b]) => (a.order || 0) - (b.order || 0))[0];
+  
+  return match ? { key: match[0], service: match[1] } : null;
+}
+
+// What customers get to see - no provider cost or upstream routing
+function toPublicService(service, serviceTypes) {
+  return {
+    code: service.code,
+    name: service.name,
+    service: service.service,
+    serviceName: serviceTypes?.[service.service]?.name || service.service,
+    country: service.country,
+    countryId: service.countryId,
+    price: service.price,
+    flag: service.flag
+  };
+}
+
 // ========== HELPER FUNCTIONS ==========
 async function getUserByApiKey(apiKey) {
   try {
-    if (!apiKey || !apiKey.startsWith('sk_')) return null;
+    if (!looksLikeApiKey(apiKey)) return null;
+    
+    const hash = hashApiKey(apiKey);
+    const indexSnapshot = await admin.database().ref('apiKeyIndex/' + hash).once('value');
+    const entry = indexSnapshot.val();
+    
+    // The primary key indexes to the uid, named keys to { uid, keyId }
+    if (entry && typeof entry === 'object') {
+      return getUserByNamedApiKey(entry.uid, entry.keyId, hash);
+    }
     
+    if (entry) {
+      const user = await getUserByUid(entry);
+      if (!user || user.apiKeyHash !== hash) return null;
+      
+      await touchApiKey('users/' + entry + '/apiKeyLastUsedAt', user.apiKeyLastUsedAt);
+      return withPrimaryKey(user);
+    }
+    
+    // Keys issued before hashing are still stored in plain text; move them over on first use
     const usersRef = admin.database().ref('users');
     const snapshot = await usersRef.orderByChild('apiKey').equalTo(apiKey).once('value');
     
     if (snapshot.exists()) {
-      const users = snapshot.val();
-      const uid = Object.keys(users)[0];
-      return { uid, ...users[uid] };
+      const legacyUid = Object.keys(snapshot.val())[0];
+      await migrateLegacyApiKey(legacyUid, apiKey);
+      
+      const user = await getUserByUid(legacyUid);
+      return user ? withPrimaryKey(user) : null;
     }
     return null;
   } catch (error) {
@@ -83,6 +291,573 @@ async function getUserByApiKey(apiKey) {
   }
 }
 
+// users/<uid> keeps only apiKeyHash and apiKeyPrefix; apiKeyIndex/<hash> points back to the user
+async function migrateLegacyApiKey(uid, apiKey) {
+  const hash = hashApiKey(apiKey);
+  
+  await admin.database().ref().update({
+    ['apiKeyIndex/' + hash]: uid,
+    ['users/' + uid + '/apiKeyHash']: hash,
+    ['users/' + uid + '/apiKeyPrefix']: displayPrefix(apiKey),
+    ['users/' + uid + '/apiKey']: null
+  });
+}
+
+// Replaces the user's key. The returned key is the only copy - show it once and never store it.
+async function issueApiKey(uid) {
+  const { key, hash, prefix } = generateApiKey();
+  
+  const snapshot = await admin.database().ref('users/' + uid).once('value');
+  const current = snapshot.val() || {};
+  
+  const updates = {
+    ['apiKeyIndex/' + hash]: uid,
+    ['users/' + uid + '/apiKeyHash']: hash,
+    ['users/' + uid + '/apiKeyPrefix']: prefix,
+    ['users/' + uid + '/apiKey']: null
+  };
+  
+  if (current.apiKeyHash) {
+    updates['apiKeyIndex/' + current.apiKeyHash] = null;
+  }
+  
+  await admin.database().ref().update(updates);
+  
+  return {
+    key: key,
+    prefix: prefix,
+    previousPrefix: current.apiKeyPrefix || (current.apiKey ? displayPrefix(current.apiKey) : null)
+  };
+}
+
+// ========== NAMED API KEYS ==========
+// Besides the primary key (users/<uid>/apiKeyHash, every scope) a user can hold several named
+// keys in apiKeys/<uid>/<keyId>, each limited to some scopes and optionally expiring.
+const API_KEY_SCOPES = ['read', 'purchase', 'cancel'];
+const PRIMARY_KEY_ID = 'primary';
+const MAX_NAMED_API_KEYS = 10;
+const API_KEY_TOUCH_INTERVAL = 60 * 1000;
+
+async function getUserByNamedApiKey(uid, keyId, hash) {
+  const key = await getActiveNamedApiKey(uid, keyId);
+  if (!key || key.hash !== hash) return null;
+  
+  return withNamedKey(uid, keyId, key);
+}
+
+async function getActiveNamedApiKey(uid, keyId) {
+  const keySnapshot = await admin.database().ref('apiKeys/' + uid + '/' + keyId).once('value');
+  const key = keySnapshot.val();
+  
+  if (!key || key.revokedAt) return null;
+  if (key.expiresAt && key.expiresAt <= Date.now()) return null;
+  return key;
+}
+
+async function withNamedKey(uid, keyId, key) {
+  const user = await getUserByUid(uid);
+  if (!user) return null;
+  
+  await touchApiKey('apiKeys/' + uid + '/' + keyId + '/lastUsedAt', key.lastUsedAt);
+  
+  return {
+    ...user,
+    keyId: keyId,
+    keyName: key.name,
+    keyPrefix: key.prefix,
+    keyScopes: Object.values(key.scopes || {}),
+    keyAllowedIps: Object.values(key.allowedIps || {}),
+    keyLimits: key.limits || null
+  };
+}
+
+function withPrimaryKey(user) {
+  return {
+    ...user,
+    keyId: PRIMARY_KEY_ID,
+    keyName: 'Primary',
+    keyPrefix: user.apiKeyPrefix,
+    keyScopes: API_KEY_SCOPES,
+    keyAllowedIps: Object.values(user.apiKeyAllowedIps || {})
+  };
+}
+
+// lastUsedAt only needs minute precision, so skip the write on busy keys
+async function touchApiKey(path, lastUsedAt) {
+  if (lastUsedAt && Date.now() - lastUsedAt < API_KEY_TOUCH_INTERVAL) return;
+  await admin.database().ref(path).set(Date.now());
+}
+
+function parseApiKeyScopes(value) {
+  const scopes = Array.isArray(value) ? value : String(value || '').split(',');
+  const cleaned = [...new Set(scopes.map(scope => String(scope).trim().toLowerCase()).filter(Boolean))];
+  
+  if (cleaned.length === 0) {
+    return { error: `At least one scope is required (${API_KEY_SCOPES.join(', ')})` };
+  }
+  
+  const unknown = cleaned.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scope: ${unknown.join(', ')}. Use ${API_KEY_SCOPES.join(', ')}` };
+  }
+  
+  return { scopes: cleaned };
+}
+
+function toPublicApiKey(keyId, key) {
+  const expired = !!key.expiresAt && key.expiresAt <= Date.now();
+  
+  return {
+    id: keyId,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: Object.values(key.scopes || {}),
+    createdAt: key.createdAt,
+    expiresAt: key.expiresAt || null,
+    allowedIps: Object.values(key.allowedIps || {}),
+    limits: key.limits || null,
+    signingKeyId: key.signingKeyId || null,
+    lastUsedAt: key.lastUsedAt || null,
+    revokedAt: key.revokedAt || null,
+    status: key.revokedAt ? 'revoked' : expired ? 'expired' : 'active'
+  };
+}
+
+async function createNamedApiKey(uid, { name, scopes, expiresAt, allowedIps }) {
+  const { key, hash, prefix } = generateApiKey();
+  const keyId = 'KEY' + Date.now() + crypto.randomBytes(3).toString('hex').toUpperCase();
+  
+  const record = {
+    name: name,
+    hash: hash,
+    prefix: prefix,
+    scopes: scopes,
+    allowedIps: allowedIps || null,
+    expiresAt: expiresAt || null,
+    createdAt: Date.now()
+  };
+  
+  await admin.database().ref().update({
+    ['apiKeys/' + uid + '/' + keyId]: record,
+    ['apiKeyIndex/' + hash]: { uid, keyId }
+  });
+  
+  return { key, apiKey: toPublicApiKey(keyId, record) };
+}
+
+// First x-forwarded-for hop is the client; Vercel sets it, locally it falls back to the socket
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = forwarded ? String(forwarded).split(',')[0] : req.connection.remoteAddress;
+  return normalizeIp(ip);
+}
+
+// Returns a 403 { statusCode, body } when the key has an allowlist that does not cover the caller
+async function checkApiKeyIp(req, user) {
+  if (!user.keyId) return null;
+  
+  const ip = getClientIp(req);
+  if (isIpAllowed(user.keyAllowedIps, ip)) return null;
+  
+  console.warn(`🚫 API key ${user.keyPrefix}... (${user.uid}) used from ${ip}, not in its allowlist`);
+  
+  try {
+    await admin.database().ref('apiKeyLogs/' + user.uid).push().set({
+      keyName: user.keyName,
+      key: user.keyPrefix + '...',
+      ip: ip,
+      path: req.path,
+      timestamp: Date.now(),
+      changeType: 'ip_blocked'
+    });
+  } catch (error) {
+    console.error('Blocked API key log error:', error);
+  }
+  
+  return {
+    statusCode: 403,
+    body: {
+      success: false,
+      error: `This API key is not allowed from ${ip}`,
+      code: 'IP_NOT_ALLOWED',
+      ip: ip
+    }
+  };
+}
+
+// Works out who is calling a public API route: a signed request, an api_key (primary or named) or a
+// dashboard session token. Returns { user } or { error } with a { statusCode, body } reply.
+// options.queryToken also accepts the session token as ?token= (EventSource cannot send headers).
+async function authenticateRequest(req, res, scope, options = {}) {
+  const reply = (statusCode, body) => ({ error: { statusCode, body } });
+  
+  const apiKey = req.query.api_key || req.body?.api_key;
+  const authHeader = req.headers.authorization;
+  
+  let user = null;
+  
+  if (req.headers['x-key-id']) {
+    const signed = await getUserBySignedRequest(req);
+    if (signed.error) return signed;
+    user = signed.user;
+  } else if (apiKey) {
+    user = await getUserByApiKey(apiKey);
+  } else if (authHeader && authHeader.startsWith('Bearer ')) {
+    user = await getUserByToken(authHeader.replace('Bearer ', ''));
+  } else if (options.queryToken && req.query.token) {
+    user = await getUserByToken(req.query.token);
+  }
+  
+  if (!user) {
+    return reply(401, { success: false, error: 'Authentication required' });
+  }
+  
+  const blocked = await checkApiKeyIp(req, user);
+  if (blocked) {
+    return { error: blocked };
+  }
+  
+  // Dashboard sessions carry no key, so they can do everything their owner can
+  if (user.keyScopes && !user.keyScopes.includes(scope)) {
+    return reply(403, {
+      success: false,
+      error: `This API key does not have the "${scope}" scope`,
+      code: 'SCOPE_REQUIRED',
+      scope: scope
+    });
+  }
+  
+  const limited = await countRequest(res, user);
+  if (limited) {
+    return { error: limited };
+  }
+  
+  return { user };
+}
+
+// ========== SIGNED REQUESTS ==========
+// X-Key-Id names a signing credential, attached to the primary key (users/<uid>/signingKeyId) or
+// a named key, and indexed in signingKeyIndex/<kid>. The scheme itself is described in apiKeys.js.
+// Requests older or newer than SIGNATURE_WINDOW are refused, and inside it each nonce works once.
+const SIGNATURE_WINDOW = 5 * 60;
+
+async function getUserBySignedRequest(req) {
+  const reply = (code, error) => ({ error: { statusCode: 401, body: { success: false, error, code } } });
+  
+  const kid = req.headers['x-key-id'];
+  const timestamp = req.headers['x-timestamp'];
+  const nonce = req.headers['x-nonce'];
+  const signature = req.headers['x-signature'];
+  
+  if (!timestamp || !nonce || !signature) {
+    return reply('SIGNATURE_REQUIRED', 'Signed requests need X-Key-Id, X-Timestamp, X-Nonce and X-Signature headers');
+  }
+  
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+    return reply('SIGNATURE_INVALID', 'X-Nonce must be 16-128 letters, digits, "-" or "_"');
+  }
+  
+  const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || skew > SIGNATURE_WINDOW) {
+    return reply('SIGNATURE_EXPIRED', `X-Timestamp must be unix seconds within ${SIGNATURE_WINDOW}s of server time`);
+  }
+  
+  const credential = looksLikeSigningKeyId(kid) ? await getSigningCredential(kid) : null;
+  
+  const url = req.originalUrl;
+  const queryStart = url.indexOf('?');
+  const expected = credential && signRequest(credential.secret, {
+    method: req.method,
+    path: queryStart === -1 ? url : url.substring(0, queryStart),
+    query: queryStart === -1 ? '' : url.substring(queryStart + 1),
+    timestamp: timestamp,
+    nonce: nonce,
+    body: req.rawBody
+  });
+  
+  if (!credential || !signatureMatches(expected, signature)) {
+    return reply('SIGNATURE_INVALID', 'Invalid request signature');
+  }
+  
+  // Checked after the signature so nobody else can burn a client's nonces
+  const nonceHash = crypto.createHash('sha256').update(kid + ':' + nonce).digest('hex');
+  const claim = await admin.database().ref('signatureNonces/' + nonceHash).transaction(current => {
+    if (current) return;
+    return { expiresAt: Date.now() + SIGNATURE_WINDOW * 2 * 1000 };
+  });
+  
+  if (!claim.committed) {
+    return reply('NONCE_REUSED', 'This nonce was already used. Send a fresh X-Nonce with every request.');
+  }
+  
+  return { user: credential.user };
+}
+
+// -> { user (with its key context), secret } or null when the credential is gone or its key is dead
+async function getSigningCredential(kid) {
+  const indexSnapshot = await admin.database().ref('signingKeyIndex/' + kid).once('value');
+  const entry = indexSnapshot.val();
+  if (!entry) return null;
+  
+  if (entry.keyId === PRIMARY_KEY_ID) {
+    const user = await getUserByUid(entry.uid);
+    if (!user || user.signingKeyId !== kid || !user.apiKeyHash) return null;
+    
+    await touchApiKey('users/' + entry.uid + '/apiKeyLastUsedAt', user.apiKeyLastUsedAt);
+    return { user: withPrimaryKey(user), secret: user.signingSecret };
+  }
+  
+  const key = await getActiveNamedApiKey(entry.uid, entry.keyId);
+  if (!key || key.signingKeyId !== kid) return null;
+  
+  const user = await withNamedKey(entry.uid, entry.keyId, key);
+  return user ? { user, secret: key.signingSecret } : null;
+}
+
+// Replaces the signing credential of the primary key or a named key; the secret is shown once
+async function issueSigningCredential(uid, keyId) {
+  const base = keyId === PRIMARY_KEY_ID ? 'users/' + uid : 'apiKeys/' + uid + '/' + keyId;
+  const snapshot = await admin.database().ref(base + '/signingKeyId').once('value');
+  const { keyId: kid, secret } = generateSigningCredentials();
+  
+  const updates = {
+    ['signingKeyIndex/' + kid]: { uid, keyId },
+    [base + '/signingKeyId']: kid,
+    [base + '/signingSecret']: secret
+  };
+  
+  if (snapshot.val()) {
+    updates['signingKeyIndex/' + snapshot.val()] = null;
+  }
+  
+  await admin.database().ref().update(updates);
+  return { keyId: kid, secret };
+}
+
+async function pruneSignatureNonces() {
+  const snapshot = await admin.database().ref('signatureNonces')
+    .orderByChild('expiresAt')
+    .endAt(Date.now())
+    .once('value');
+  
+  const updates = {};
+  snapshot.forEach(child => {
+    updates[child.key] = null;
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    await admin.database().ref('signatureNonces').update(updates);
+  }
+  return Object.keys(updates).length;
+}
+
+// ========== USAGE LIMITS ==========
+// An account can have requestsPerMinute, purchasesPerHour and spendPerDay (UTC day). None apply
+// unless set: the platform default (env) can be replaced per user by an admin (users/<uid>/limitOverrides);
+// users can tighten that with their own caps (users/<uid>/limits). A named key may carry its own limits,
+// counted separately on top of the account's. Counters live in usageCounters/<uid>/<account|keyId> and
+// are only written for limits that apply, so unlimited accounts pay no extra database round trips.
+const DEFAULT_LIMITS = {
+  requestsPerMinute: parseInt(process.env.LIMIT_REQUESTS_PER_MINUTE) || null,
+  purchasesPerHour: parseInt(process.env.LIMIT_PURCHASES_PER_HOUR) || null,
+  spendPerDay: parseFloat(process.env.LIMIT_SPEND_PER_DAY) || null
+};
+const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+const LIMIT_MAXIMUMS = { requestsPerMinute: 10000, purchasesPerHour: 10000, spendPerDay: 10000000 };
+const ACCOUNT_COUNTER = 'account';
+
+// -> { limits } or { error }; empty values clear a field
+function parseLimits(input) {
+  const limits = {};
+  
+  for (const field of LIMIT_FIELDS) {
+    const value = input?.[field];
+    if (value === undefined || value === null || value === '') continue;
+    
+    const number = Number(value);
+    const whole = field !== 'spendPerDay';
+    
+    if (!Number.isFinite(number) || number <= 0 || number > LIMIT_MAXIMUMS[field] || (whole && !Number.isInteger(number))) {
+      return { error: `${field} must be a ${whole ? 'whole ' : ''}number between 1 and ${LIMIT_MAXIMUMS[field]}` };
+    }
+    limits[field] = whole ? number : roundMoney(number);
+  }
+  
+  return { limits };
+}
+
+function getAccountLimits(user) {
+  const ceiling = { ...DEFAULT_LIMITS, ...(user.limitOverrides || {}) };
+  const own = user.limits || {};
+  const limits = {};
+  
+  LIMIT_FIELDS.forEach(field => {
+    const values = [ceiling[field], own[field]].filter(value => value > 0);
+    limits[field] = values.length > 0 ? Math.min(...values) : null;
+  });
+  
+  return limits;
+}
+
+// The account counter always applies; a key counter only for limits that key sets
+function getLimitSubjects(user) {
+  const subjects = [{ id: ACCOUNT_COUNTER, limits: getAccountLimits(user) }];
+  
+  if (user.keyLimits && user.keyId !== PRIMARY_KEY_ID) {
+    subjects.push({ id: user.keyId, limits: user.keyLimits, label: `API key "${user.keyName}"` });
+  }
+  
+  return subjects;
+}
+
+function usageCounterRef(uid, subject, counter) {
+  return admin.database().ref('usageCounters/' + uid + '/' + subject + '/' + counter);
+}
+
+function limitWindows(now = Date.now()) {
+  return {
+    minute: Math.floor(now / 60000),
+    hour: Math.floor(now / 3600000),
+    day: Math.floor(now / 86400000)
+  };
+}
+
+// Counts one API request against every applicable per-minute limit and sets the RateLimit-*
+// headers for the tightest one. Returns a 429 { statusCode, body } once a limit is used up.
+async function countRequest(res, user) {
+  const { minute } = limitWindows();
+  const resetIn = 60 - Math.floor(Date.now() / 1000) % 60;
+  let tightest = null;
+  let rejected = null;
+  
+  for (const subject of getLimitSubjects(user)) {
+    const limit = subject.limits.requestsPerMinute;
+    if (!limit) continue;
+    
+    let used = 0;
+    const result = await usageCounterRef(user.uid, subject.id, 'requests').transaction(current => {
+      used = current && current.minute === minute ? current.count : 0;
+      if (used >= limit) return;
+      return { minute, count: used + 1 };
+    });
+    
+    const remaining = result.committed ? limit - used - 1 : 0;
+    if (!tightest || remaining < tightest.remaining) {
+      tightest = { limit, remaining };
+    }
+    
+    if (!result.committed) {
+      rejected = { ...subject, limit };
+      break;
+    }
+  }
+  
+  if (!tightest) return null;
+  
+  res.set({
+    'RateLimit-Limit': String(tightest.limit),
+    'RateLimit-Remaining': String(tightest.remaining),
+    'RateLimit-Reset': String(resetIn)
+  });
+  
+  if (!rejected) return null;
+  
+  res.set('Retry-After', String(resetIn));
+  return {
+    statusCode: 429,
+    body: {
+      success: false,
+      error: `Rate limit exceeded: ${rejected.limit} requests per minute${rejected.label ? ' for ' + rejected.label : ''}`,
+      code: 'RATE_LIMITED',
+      limit: rejected.limit,
+      retryAfter: resetIn
+    }
+  };
+}
+
+// Takes one purchase of amount out of the hourly/daily quotas before a number is bought.
+// Returns { taken } to hand back to releasePurchaseQuota if the purchase fails, or { error } (429).
+// Refunds do not give quota back, so buy-and-cancel loops still stop at the cap.
+async function takePurchaseQuota(user, amount) {
+  const { hour, day } = limitWindows();
+  const taken = [];
+  
+  for (const subject of getLimitSubjects(user)) {
+    const { purchasesPerHour, spendPerDay } = subject.limits;
+    if (!purchasesPerHour && !spendPerDay) continue;
+    
+    let failure = null;
+    const result = await usageCounterRef(user.uid, subject.id, 'purchases').transaction(current => {
+      const count = current && current.hour === hour ? current.count : 0;
+      const spend = current && current.day === day ? current.spend : 0;
+      failure = null;
+      
+      if (purchasesPerHour && count >= purchasesPerHour) {
+        failure = { code: 'PURCHASE_LIMIT', error: `Purchase limit reached: ${purchasesPerHour} numbers per hour` };
+        return;
+      }
+      if (spendPerDay && roundMoney(spend + amount) > spendPerDay) {
+        failure = { code: 'SPEND_LIMIT', error: `Daily spend limit of ₹${spendPerDay} reached (₹${roundMoney(spend)} spent today)` };
+        return;
+      }
+      
+      return { hour, count: count + 1, day, spend: roundMoney(spend + amount) };
+    });
+    
+    if (!result.committed) {
+      await releasePurchaseQuota(user, taken);
+      const suffix = subject.label ? ` for ${subject.label}` : '';
+      return { error: { statusCode: 429, body: { success: false, code: failure.code, error: failure.error + suffix } } };
+    }
+    
+    taken.push({ id: subject.id, hour, day, amount });
+  }
+  
+  return { taken };
+}
+
+async function releasePurchaseQuota(user, taken) {
+  for (const entry of taken || []) {
+    await usageCounterRef(user.uid, entry.id, 'purchases').transaction(current => {
+      if (!current) return current;
+      return {
+        ...current,
+        count: current.hour === entry.hour ? Math.max(0, current.count - 1) : current.count,
+        spend: current.day === entry.day ? Math.max(0, roundMoney(current.spend - entry.amount)) : current.spend
+      };
+    });
+  }
+}
+
+// Current usage against the effective limits, for the dashboard
+async function getUsage(uid, subject, limits) {
+  const { minute, hour, day } = limitWindows();
+  const [requestsSnapshot, purchasesSnapshot] = await Promise.all([
+    usageCounterRef(uid, subject, 'requests').once('value'),
+    usageCounterRef(uid, subject, 'purchases').once('value')
+  ]);
+  const requests = requestsSnapshot.val() || {};
+  const purchases = purchasesSnapshot.val() || {};
+  
+  return {
+    limits: limits,
+    requestsThisMinute: requests.minute === minute ? requests.count : 0,
+    purchasesThisHour: purchases.hour === hour ? purchases.count : 0,
+    spentToday: purchases.day === day ? purchases.spend : 0
+  };
+}
+
+// Background workers act for a user without a request to authenticate
+async function getUserByUid(uid) {
+  try {
+    const snapshot = await admin.database().ref('users/' + uid).once('value');
+    return snapshot.exists() ? { uid, ...snapshot.val() } : null;
+  } catch (error) {
+    console.error('Error getting user by uid:', error);
+    return null;
+  }
+}
+
 async function getUserByToken(token) {
   try {
     if (!token) return null;
@@ -93,18 +868,26 @@ async function getUserByToken(token) {
     
     if (snapshot.exists()) {
       const userData = snapshot.val();
+      
+      if (userData.apiKey) {
+        await migrateLegacyApiKey(decodedToken.uid, userData.apiKey);
+      }
+      
       return {
         uid: decodedToken.uid,
         email: decodedToken.email || userData.email,
         name: userData.name,
         wallet: userData.wallet || 0,
-        apiKey: userData.apiKey,
+        apiKeyPrefix: userData.apiKeyPrefix || (userData.apiKey ? displayPrefix(userData.apiKey) : null),
         apiRequests: userData.apiRequests || 0,
         apiSuccess: userData.apiSuccess || 0,
         apiFailed: userData.apiFailed || 0,
         totalSpent: userData.totalSpent || 0,
         resellerId: userData.resellerId,
-        referredBy: userData.referredBy
+        referredBy: userData.referredBy,
+        maxActiveNumbers: userData.maxActiveNumbers,
+        limits: userData.limits,
+        limitOverrides: userData.limitOverrides
       };
     }
     return null;
@@ -114,110 +897,1044 @@ async function getUserByToken(token) {
   }
 }
 
-async function deductBalance(uid, amount, service) {
-  try {
-    const userRef = admin.database().ref('users/' + uid + '/wallet');
-    const currentBalance = await userRef.once('value');
-    const balance = currentBalance.val() || 0;
-    
-    if (balance < amount) {
-      throw new Error(`Insufficient balance. Available: ₹${balance}, Required: ₹${amount}`);
+// ========== WALLET LEDGER ==========
+// Every wallet movement changes the balance inside a database transaction and is
+// journalled in walletLedger with the account debited, the account credited and the
+// wallet balance before/after. House accounts (house:*) are the platform's side of each entry.
+const HOUSE_SALES = 'house:sales';
+const HOUSE_ADJUSTMENTS = 'house:adjustments';
+const HOUSE_COMMISSIONS = 'house:commissions';
+const HOUSE_PAYOUTS = 'house:payouts';
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// account is a wallet owner path such as 'users/<uid>' or 'resellers/<id>'.
+// amount is signed (negative = money leaves the wallet); details.setTo sets an absolute balance instead.
+async function moveWallet(account, amount, details) {
+  const walletRef = admin.database().ref(account + '/wallet');
+  let balanceBefore = null;
+  
+  // The update function can run several times; the last run is the one that committed
+  const result = await walletRef.transaction(current => {
+    balanceBefore = null;
+    const balance = current || 0;
+    const next = details.setTo !== undefined ? details.setTo : roundMoney(balance + amount);
+    
+    if (next < 0 && !details.allowNegative) {
+      // null can just be the empty local cache; returning it makes the server send the real value
+      return current === null ? null : undefined;
     }
     
-    const newBalance = balance - amount;
-    await userRef.set(newBalance);
-    
-    // Update stats
-    const requestsRef = admin.database().ref('users/' + uid + '/apiRequests');
-    const currentRequests = await requestsRef.once('value');
-    await requestsRef.set((currentRequests.val() || 0) + 1);
-    
-    const successRef = admin.database().ref('users/' + uid + '/apiSuccess');
-    const currentSuccess = await successRef.once('value');
-    await successRef.set((currentSuccess.val() || 0) + 1);
+    balanceBefore = balance;
+    return next;
+  });
+  
+  const balanceAfter = result.snapshot.val() || 0;
+  
+  if (!result.committed || balanceBefore === null) {
+    const error = new Error(`Insufficient balance. Available: ₹${balanceAfter}, Required: ₹${Math.abs(amount)}`);
+    error.code = 'INSUFFICIENT_BALANCE';
+    throw error;
+  }
+  
+  const movement = roundMoney(balanceAfter - balanceBefore);
+  
+  const entryRef = admin.database().ref('walletLedger').push();
+  const entry = {
+    id: entryRef.key,
+    account: account,
+    type: details.type,
+    amount: Math.abs(movement),
+    debitAccount: movement < 0 ? account : details.counterAccount,
+    creditAccount: movement < 0 ? details.counterAccount : account,
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    reason: details.reason || null,
+    reference: details.reference || null,
+    createdBy: details.createdBy || null,
+    timestamp: Date.now()
+  };
+  
+  try {
+    await entryRef.set(entry);
+  } catch (error) {
+    // The wallet already moved - shout so reconciliation picks it up
+    console.error(`❌ Ledger write failed for ${account} (${details.type} ₹${movement}):`, error);
+  }
+  
+  return entry;
+}
+
+async function deductBalance(uid, amount, service, reference) {
+  try {
+    const entry = await moveWallet('users/' + uid, -amount, {
+      type: 'purchase',
+      counterAccount: HOUSE_SALES,
+      reason: service?.name,
+      reference: reference
+    });
     
-    const spentRef = admin.database().ref('users/' + uid + '/totalSpent');
-    const currentSpent = await spentRef.once('value');
-    await spentRef.set((currentSpent.val() || 0) + amount);
+    // Update stats - best effort, the wallet has already moved so this must not fail the purchase
+    const increment = admin.database.ServerValue.increment;
+    await admin.database().ref('users/' + uid).update({
+      apiRequests: increment(1),
+      apiSuccess: increment(1),
+      totalSpent: increment(amount)
+    }).catch(statsError => {
+      console.error(`Purchase stats update failed for ${uid}:`, statsError.message);
+    });
     
-    return newBalance;
+    return entry.balanceAfter;
   } catch (error) {
     console.error('Deduct balance error:', error);
     throw error;
   }
 }
 
-async function refundBalance(uid, amount, reason) {
+async function refundBalance(uid, amount, reason, reference, callbackUrl) {
   try {
-    const userRef = admin.database().ref('users/' + uid + '/wallet');
-    const currentBalance = await userRef.once('value');
-    const balance = currentBalance.val() || 0;
+    const entry = await moveWallet('users/' + uid, amount, {
+      type: 'refund',
+      counterAccount: HOUSE_SALES,
+      reason: reason,
+      reference: reference
+    });
     
-    const newBalance = balance + amount;
-    await userRef.set(newBalance);
+    await admin.database().ref('users/' + uid).update({
+      apiFailed: admin.database.ServerValue.increment(1)
+    });
     
-    const failedRef = admin.database().ref('users/' + uid + '/apiFailed');
-    const currentFailed = await failedRef.once('value');
-    await failedRef.set((currentFailed.val() || 0) + 1);
+    await emitWebhookEvent(uid, 'wallet.refunded', {
+      amount: entry.amount,
+      reason: reason,
+      reference: reference || null,
+      balance: entry.balanceAfter
+    }, callbackUrl);
     
-    return newBalance;
+    return entry.balanceAfter;
   } catch (error) {
     console.error('Refund balance error:', error);
     throw error;
   }
 }
 
-// ========== RESELLER FUNCTIONS ==========
-function generateResellerId() {
-  return 'RS' + Math.random().toString(36).substring(2, 8).toUpperCase();
+// ========== ACTIVE TRANSACTIONS ==========
+// Numbers a user may hold at once, unless users/<uid>/maxActiveNumbers overrides it
+const MAX_ACTIVE_NUMBERS = parseInt(process.env.MAX_ACTIVE_NUMBERS) || 5;
+
+// Older records kept a single transaction object directly under activeTransactions/<uid>
+function isLegacyActiveTransaction(value) {
+  return value && typeof value.id === 'string' && value.startTime !== undefined;
 }
 
-function calculatePriceWithCommission(basePrice, commissionPercent) {
-  const commission = Math.round(basePrice * commissionPercent / 100);
-  return basePrice + commission;
+function normalizeActiveTransactions(value) {
+  if (!value) return {};
+  if (isLegacyActiveTransaction(value)) return { [value.id]: value };
+  return value;
 }
 
-async function getReseller(resellerId) {
-  try {
-    const resellerRef = admin.database().ref('resellers/' + resellerId);
-    const snapshot = await resellerRef.once('value');
-    return snapshot.val();
-  } catch (error) {
-    console.error('Get reseller error:', error);
-    return null;
+// All active transactions of a user, keyed by transaction ID
+async function getActiveTransactions(uid) {
+  const activeRef = admin.database().ref('activeTransactions/' + uid);
+  const snapshot = await activeRef.once('value');
+  const value = snapshot.val();
+  
+  if (isLegacyActiveTransaction(value)) {
+    await activeRef.set({ [value.id]: value });
   }
+  
+  return normalizeActiveTransactions(value);
 }
 
-async function updateResellerStats(resellerId, amount, commission) {
-  try {
-    const resellerRef = admin.database().ref('resellers/' + resellerId);
-    const snapshot = await resellerRef.once('value');
-    const reseller = snapshot.val() || {};
-    
-    const updates = {
-      wallet: (reseller.wallet || 0) + commission,
-      totalSales: (reseller.totalSales || 0) + amount,
-      totalCommission: (reseller.totalCommission || 0) + commission,
-      referralCount: (reseller.referralCount || 0) + 1,
-      lastSale: Date.now()
-    };
-    
-    await resellerRef.update(updates);
-    return true;
-  } catch (error) {
-    console.error('Update reseller stats error:', error);
-    return false;
+async function getActiveTransaction(uid, id) {
+  const activeTransactions = await getActiveTransactions(uid);
+  return activeTransactions[id] || null;
+}
+
+// Frees the user's slot only when this call is the one that removed the record
+async function removeActiveTransaction(uid, id) {
+  let removed = false;
+  
+  await admin.database().ref('activeTransactions/' + uid + '/' + id).transaction(current => {
+    removed = current !== null;
+    return null;
+  });
+  
+  if (removed) await releaseActiveSlots(uid, 1);
+}
+
+// users/<uid>/activeCount counts open numbers plus queued reservations. Slots are taken in a
+// transaction before buying, so parallel requests cannot all slip under maxActiveNumbers.
+function activeCountRef(uid) {
+  return admin.database().ref('users/' + uid + '/activeCount');
+}
+
+// Accounts from before the counter get it seeded from their records once
+async function seedActiveCount(uid) {
+  const [activeTransactions, waiting] = await Promise.all([getActiveTransactions(uid), getWaitingReservations(uid)]);
+  const count = Object.keys(activeTransactions).length + waiting.length;
+  
+  await activeCountRef(uid).transaction(current => (current === null ? count : undefined));
+}
+
+// -> { taken, inUse, maxActive }; taken is all or nothing
+async function reserveActiveSlots(user, count) {
+  const maxActive = user.maxActiveNumbers || MAX_ACTIVE_NUMBERS;
+  const countRef = activeCountRef(user.uid);
+  
+  const existing = await countRef.once('value');
+  if (existing.val() === null) await seedActiveCount(user.uid);
+  
+  let inUse = 0;
+  const result = await countRef.transaction(current => {
+    inUse = current || 0;
+    if (inUse + count > maxActive) return;
+    return inUse + count;
+  });
+  
+  return { taken: result.committed, inUse, maxActive };
+}
+
+async function releaseActiveSlots(uid, count) {
+  if (count <= 0) return;
+  await activeCountRef(uid).transaction(current => Math.max(0, (current || 0) - count));
+}
+
+// Newest first, for history and dashboard responses
+function sortActiveTransactions(activeTransactions) {
+  return Object.values(activeTransactions).sort((a, b) => b.startTime - a.startTime);
+}
+
+async function updateHistoryEntry(uid, transactionId, updates) {
+  const historyRef = admin.database().ref('userHistory/' + uid);
+  const snapshot = await historyRef.orderByChild('transactionId').equalTo(transactionId).once('value');
+  
+  if (snapshot.exists()) {
+    const key = Object.keys(snapshot.val())[0];
+    await historyRef.child(key).update(updates);
   }
 }
 
-async function getReferredUsersCount(resellerId) {
-  try {
-    const usersRef = admin.database().ref('users');
-    const snapshot = await usersRef.orderByChild('referredBy').equalTo(resellerId).once('value');
-    return snapshot.exists() ? Object.keys(snapshot.val()).length : 0;
-  } catch (error) {
-    console.error('Get referred users error:', error);
-    return 0;
+// Marks an active transaction as being closed so a cancel, OTP check and the expiry
+// sweeper can never refund it twice. Claims older than 2 minutes are considered stale.
+async function claimActiveTransaction(uid, id) {
+  const result = await admin.database().ref('activeTransactions/' + uid + '/' + id).transaction(current => {
+    if (!current) return;
+    if (current.closingAt && Date.now() - current.closingAt < 2 * 60 * 1000) return;
+    return { ...current, closingAt: Date.now() };
+  });
+  
+  return result.committed ? result.snapshot.val() : null;
+}
+
+// Refunds a claimed transaction at most once. refundedAt is set in a transaction before the
+// wallet moves, so a claim reclaimed after a crash sees it and does not pay out again.
+async function refundActiveTransaction(uid, claimed, reason) {
+  const refundAmount = claimed.price || 0;
+  if (refundAmount <= 0) return;
+  
+  const result = await admin.database().ref('activeTransactions/' + uid + '/' + claimed.id).transaction(current => {
+    if (!current) return current === null ? null : undefined;
+    if (current.refundedAt) return;
+    return { ...current, refundedAt: Date.now() };
+  });
+  
+  if (!result.committed || !result.snapshot.val()) {
+    console.warn(`Refund for ${claimed.id} already recorded, not refunding again`);
+    return;
+  }
+  
+  await refundBalance(uid, refundAmount, reason, claimed.id, claimed.callbackUrl);
+  await reverseResellerCommission({ ...claimed, transactionId: claimed.id }, refundAmount, claimed.id);
+}
+
+// Every code received on a number, oldest first (Firebase may hand arrays back as objects)
+function getCodes(record) {
+  return Object.values(record.codes || {});
+}
+
+function appendCode(transaction, sms) {
+  return [...getCodes(transaction), { code: sms.otp, text: sms.smsText, receivedAt: Date.now() }];
+}
+
+// ========== OTP EXTRACTION ==========
+// Tried in order when neither the catalog entry nor its service type sets otpPatterns.
+// The first capture group (or the whole match) is the code; spaces and dashes are dropped.
+const DEFAULT_OTP_PATTERNS = [
+  '\\b(\\d{3}[- ]\\d{3})\\b',
+  '\\b(\\d{4,8})\\b',
+  '\\b((?=[a-z]*\\d)[a-z0-9]{4,8})\\b'
+];
+
+function validateOtpPatterns(patterns) {
+  if (patterns === null) return null;
+  if (!Array.isArray(patterns) || patterns.length === 0 || patterns.length > 10) {
+    return 'OTP patterns must be a list of 1-10 regular expressions';
+  }
+  
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return `Invalid OTP pattern ${pattern}: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+async function getOtpPatterns(transaction) {
+  const [catalog, serviceTypes] = await Promise.all([getCatalog(), getServiceTypes()]);
+  const service = catalog[transaction.service] || {};
+  const serviceType = serviceTypes[transaction.serviceId || service.service] || {};
+  
+  return Object.values(service.otpPatterns || serviceType.otpPatterns || DEFAULT_OTP_PATTERNS);
+}
+
+function matchOtp(text, patterns) {
+  if (!text) return null;
+  
+  for (const pattern of patterns) {
+    const match = String(text).match(new RegExp(pattern, 'i'));
+    if (match) return (match[1] || match[0]).replace(/[\s-]/g, '');
+  }
+  return null;
+}
+
+// Turns a parsed getStatus reply into { otp, smsText }, or null while no new SMS is there.
+// Only STATUS_OK carries a new message - STATUS_WAIT_RETRY:<code> repeats the previous one.
+async function readSms(transaction, status) {
+  if (status.status !== 'STATUS_OK') return null;
+  
+  let smsText = null;
+  try {
+    smsText = await getProvider(transaction.provider).getFullSms(transaction.id);
+  } catch (error) {
+    console.error(`Full SMS fetch failed for ${transaction.id}:`, error.message);
+  }
+  
+  const patterns = await getOtpPatterns(transaction);
+  const otp = matchOtp(status.code, patterns) || matchOtp(smsText, patterns) || status.code;
+  
+  if (!otp) return null;
+  return { otp: otp, smsText: smsText || status.code };
+}
+
+// Saves a received SMS on the history entry and closes the active number.
+// Callers claim the transaction first so the code is recorded only once.
+async function recordReceivedSms(uid, transaction, sms) {
+  const codes = appendCode(transaction, sms);
+  
+  await updateHistoryEntry(uid, transaction.id, {
+    status: 'success',
+    otp: sms.otp,
+    smsText: sms.smsText,
+    codes: codes,
+    completedAt: Date.now()
+  });
+  await removeActiveTransaction(uid, transaction.id);
+  await startCommissionHold(transaction);
+  
+  await emitWebhookEvent(uid, 'otp.received', {
+    id: transaction.id,
+    number: transaction.number,
+    service: transaction.service,
+    otp: sms.otp,
+    smsText: sms.smsText,
+    codeCount: codes.length
+  }, transaction.callbackUrl);
+  
+  return codes;
+}
+
+// ========== EXPIRY SWEEPER ==========
+// Closes a number whose 15 minutes are up: cancels it upstream and refunds the
+// wallet unless an OTP arrived that the customer never collected.
+async function expireTransaction(uid, transaction) {
+  const claimed = await claimActiveTransaction(uid, transaction.id);
+  if (!claimed) return null;
+  
+  const provider = getProvider(claimed.provider);
+  let sms = null;
+  
+  try {
+    const status = await provider.getStatus(claimed.id);
+    sms = await readSms(claimed, status);
+  } catch (error) {
+    console.error(`Expiry status check failed for ${claimed.id}:`, error.message);
+  }
+  
+  if (sms) {
+    await recordReceivedSms(uid, claimed, sms);
+    return { status: 'success', otp: sms.otp, smsText: sms.smsText, refundAmount: 0 };
+  }
+  
+  // A number reopened for a next SMS was already paid for by its first code
+  const codes = getCodes(claimed);
+  
+  if (codes.length > 0) {
+    const last = codes[codes.length - 1];
+    
+    await provider.setStatus(claimed.id, 6).catch(error => {
+      console.error(`Upstream finish failed for expired ${claimed.id}:`, error.message);
+    });
+    
+    await updateHistoryEntry(uid, claimed.id, {
+      status: 'success',
+      completedAt: Date.now()
+    });
+    await removeActiveTransaction(uid, claimed.id);
+    
+    await emitWebhookEvent(uid, 'number.expired', {
+      id: claimed.id,
+      number: claimed.number,
+      service: claimed.service,
+      refundAmount: 0
+    }, claimed.callbackUrl);
+    
+    return { status: 'success', otp: last.code, smsText: last.text || null, refundAmount: 0 };
+  }
+  
+  try {
+    await provider.setStatus(claimed.id, 8);
+  } catch (error) {
+    console.error(`Upstream cancel failed for expired ${claimed.id}:`, error.message);
+  }
+  
+  const refundAmount = claimed.price || 0;
+  await refundActiveTransaction(uid, claimed, 'expired');
+  
+  await updateHistoryEntry(uid, claimed.id, {
+    status: 'expired',
+    cancelledAt: Date.now(),
+    refundAmount: refundAmount
+  });
+  await removeActiveTransaction(uid, claimed.id);
+  
+  await emitWebhookEvent(uid, 'number.expired', {
+    id: claimed.id,
+    number: claimed.number,
+    service: claimed.service,
+    refundAmount: refundAmount
+  }, claimed.callbackUrl);
+  
+  return { status: 'expired', otp: null, smsText: null, refundAmount: refundAmount };
+}
+
+async function sweepExpiredTransactions() {
+  const snapshot = await admin.database().ref('activeTransactions').once('value');
+  const allActive = snapshot.val() || {};
+  const summary = { checked: 0, expired: 0, completed: 0, refunded: 0, errors: 0 };
+  
+  for (const [uid, userActive] of Object.entries(allActive)) {
+    for (const transaction of Object.values(normalizeActiveTransactions(userActive))) {
+      summary.checked++;
+      if (!transaction.expiresAt || transaction.expiresAt > Date.now()) continue;
+      
+      try {
+        const result = await expireTransaction(uid, transaction);
+        if (!result) continue;
+        
+        if (result.status === 'success') summary.completed++;
+        else summary.expired++;
+        summary.refunded += result.refundAmount;
+      } catch (error) {
+        summary.errors++;
+        console.error(`Expiry sweep failed for ${uid}/${transaction.id}:`, error);
+      }
+    }
+  }
+  
+  if (summary.expired || summary.completed) {
+    console.log(`⏰ Expiry sweep: ${summary.expired} expired, ${summary.completed} completed, ₹${summary.refunded} refunded`);
+  }
+  return summary;
+}
+
+// ========== UPSTREAM FAILOVER ==========
+// Provider replies that mean "try the next upstream" instead of failing the purchase
+const FAILOVER_ERRORS = ['NO_NUMBERS', 'NO_BALANCE', 'BAD_RESPONSE', 'TIMEOUT'];
+
+// Ordered upstream list for a service. A service may list several sources,
+// e.g. sources: [{ provider: 'firexotp', code: '115' }, { provider: 'smsactivate', code: '22' }]
+function getServiceSources(service) {
+  if (Array.isArray(service.sources) && service.sources.length > 0) {
+    return service.sources;
+  }
+  return [{ provider: service.provider, code: service.code }];
+}
+
+async function acquireNumber(service, serviceType) {
+  const attempts = [];
+  let lastResult = null;
+  
+  for (const source of getServiceSources(service)) {
+    const provider = getProvider(source.provider);
+    let result;
+    
+    try {
+      const serviceCode = source.serviceCode || getProviderServiceCode(serviceType, provider.name);
+      result = await provider.getNumber(serviceCode, source.code);
+    } catch (error) {
+      if (!error.isAxiosError) throw error;
+      
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      result = { success: false, error: 'TIMEOUT', raw: timedOut ? 'timeout' : error.message };
+    }
+    
+    console.log(`${provider.name} Response:`, result.raw);
+    
+    if (result.success) {
+      return {
+        ...result,
+        provider: provider.name,
+        providerCode: source.code,
+        attempts: attempts
+      };
+    }
+    
+    attempts.push({ provider: provider.name, code: source.code, error: result.error });
+    lastResult = result;
+    
+    if (!FAILOVER_ERRORS.includes(result.error)) break;
+  }
+  
+  return { ...lastResult, attempts: attempts };
+}
+
+// ========== WEBHOOKS ==========
+// Events are POSTed as JSON to the purchase's callback_url, else to the URL saved in the dashboard.
+// X-Webhook-Signature is "sha256=" + HMAC-SHA256(secret, X-Webhook-Timestamp + "." + raw body).
+const WEBHOOK_EVENTS = ['number.purchased', 'otp.received', 'number.cancelled', 'number.expired', 'wallet.refunded'];
+// Wait before each retry; a delivery is marked failed once these run out
+const WEBHOOK_RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const WEBHOOK_TIMEOUT = 5000;
+const WEBHOOK_LOG_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// Webhooks are sent from inside our network, so they may only go to public addresses
+const WEBHOOK_BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([base, bits]) => WEBHOOK_BLOCKED_RANGES.addSubnet(base, bits, 'ipv4'));
+// (the IPv4 ranges above also match IPv4-mapped IPv6 addresses)
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([base, bits]) => WEBHOOK_BLOCKED_RANGES.addSubnet(base, bits, 'ipv6'));
+
+function isPublicAddress(ip) {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  return family !== 0 && !WEBHOOK_BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Checked when a URL is saved and again before every delivery, since DNS can change in between.
+// -> null when the URL is fine, else the reason it is refused (prefixed with label)
+async function checkWebhookUrl(url, label = 'Webhook URL') {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return `${label} is not a valid URL`;
+  }
+  
+  if (parsed.protocol !== 'https:') {
+    return `${label} must be an https URL`;
+  }
+  
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  } catch (error) {
+    return `${label} host ${parsed.hostname} does not resolve`;
+  }
+  
+  if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+    return `${label} must not point to a private, loopback or link-local address`;
+  }
+  return null;
+}
+
+// Refuses the connection itself if the host resolves to a private address by the time we send
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to a private address`);
+      blockedError.code = 'BLOCKED_ADDRESS';
+      return callback(blockedError);
+    }
+    
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+async function getWebhookSettings(uid) {
+  const snapshot = await admin.database().ref('users/' + uid + '/webhook').once('value');
+  return snapshot.val() || {};
+}
+
+// callback_url deliveries are signed too, so a user gets a secret on first use
+async function getWebhookSecret(uid) {
+  const result = await admin.database().ref('users/' + uid + '/webhook/secret').transaction(current => {
+    return current || generateWebhookSecret();
+  });
+  return result.snapshot.val();
+}
+
+// Queues an event and tries it once right away. Never throws - a webhook must not break a purchase.
+// Callers await it: a serverless function can be frozen once it replies, so the queue write has to
+// land first. Only the HTTP attempt runs in the background; the webhook cron retries whatever it misses.
+async function emitWebhookEvent(uid, type, data, callbackUrl) {
+  try {
+    const settings = await getWebhookSettings(uid);
+    const url = callbackUrl || (settings.enabled !== false ? settings.url : null);
+    if (!url) return null;
+    
+    // The dashboard event filter only applies to the saved URL; a callback_url gets everything
+    if (!callbackUrl && settings.events && !Object.values(settings.events).includes(type)) return null;
+    
+    const deliveryRef = admin.database().ref('webhookDeliveries').push();
+    const delivery = {
+      id: deliveryRef.key,
+      uid: uid,
+      event: type,
+      url: url,
+      payload: {
+        id: deliveryRef.key,
+        type: type,
+        createdAt: Date.now(),
+        data: data
+      },
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: Date.now()
+    };
+    await deliveryRef.set(delivery);
+    
+    // Not awaited so API replies are not held up by a slow receiver
+    attemptWebhookDelivery(delivery.id).catch(error => {
+      console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+    });
+    
+    return delivery.id;
+  } catch (error) {
+    console.error(`Webhook ${type} for ${uid} not queued:`, error);
+    return null;
+  }
+}
+
+async function attemptWebhookDelivery(deliveryId) {
+  const deliveryRef = admin.database().ref('webhookDeliveries/' + deliveryId);
+  
+  // Claim it so the inline attempt and the cron never send the same delivery at once
+  const claim = await deliveryRef.transaction(current => {
+    if (!current || current.status !== 'pending') return;
+    if (current.sendingAt && Date.now() - current.sendingAt < 60 * 1000) return;
+    return { ...current, sendingAt: Date.now() };
+  });
+  
+  if (!claim.committed) return null;
+  
+  const delivery = claim.snapshot.val();
+  const attempts = (delivery.attempts || 0) + 1;
+  
+  // Not worth retrying: the URL has to be changed first
+  const urlError = await checkWebhookUrl(delivery.url);
+  if (urlError) {
+    await deliveryRef.update({
+      attempts: attempts,
+      lastAttemptAt: Date.now(),
+      lastResponseStatus: null,
+      lastError: urlError,
+      status: 'failed',
+      nextAttemptAt: null,
+      sendingAt: null
+    });
+    return 'failed';
+  }
+  
+  const secret = await getWebhookSecret(delivery.uid);
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  
+  let responseStatus = null;
+  let error = null;
+  
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HappyOTP-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': 'sha256=' + signature
+      },
+      timeout: WEBHOOK_TIMEOUT,
+      maxRedirects: 0,
+      httpsAgent: webhookAgent,
+      validateStatus: () => true
+    });
+    
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.code || requestError.message;
+  }
+  
+  const updates = {
+    attempts: attempts,
+    lastAttemptAt: Date.now(),
+    lastResponseStatus: responseStatus,
+    lastError: error,
+    sendingAt: null
+  };
+  
+  if (!error) {
+    updates.status = 'delivered';
+    updates.deliveredAt = Date.now();
+    updates.nextAttemptAt = null;
+  } else if (attempts > WEBHOOK_RETRY_DELAYS.length) {
+    updates.status = 'failed';
+    updates.nextAttemptAt = null;
+  } else {
+    updates.nextAttemptAt = Date.now() + WEBHOOK_RETRY_DELAYS[attempts - 1];
+  }
+  
+  await deliveryRef.update(updates);
+  return updates.status || 'pending';
+}
+
+// Webhook users do not poll getOtp, so check their open numbers for new SMS server-side
+async function pollWebhookTransactions() {
+  const snapshot = await admin.database().ref('activeTransactions').once('value');
+  const allActive = snapshot.val() || {};
+  const summary = { checked: 0, received: 0, errors: 0 };
+  
+  for (const [uid, userActive] of Object.entries(allActive)) {
+    const transactions = Object.values(normalizeActiveTransactions(userActive))
+      .filter(tx => tx.expiresAt > Date.now() && !tx.closingAt);
+    if (transactions.length === 0) continue;
+    
+    const settings = await getWebhookSettings(uid);
+    const userHasWebhook = settings.url && settings.enabled !== false;
+    
+    for (const transaction of transactions) {
+      if (!transaction.callbackUrl && !userHasWebhook) continue;
+      summary.checked++;
+      
+      try {
+        const status = await getProvider(transaction.provider).getStatus(transaction.id);
+        const sms = await readSms(transaction, status);
+        if (!sms) continue;
+        
+        const claimed = await claimActiveTransaction(uid, transaction.id);
+        if (!claimed) continue;
+        
+        await recordReceivedSms(uid, claimed, sms);
+        summary.received++;
+      } catch (error) {
+        summary.errors++;
+        console.error(`Webhook OTP poll failed for ${uid}/${transaction.id}:`, error.message);
+      }
+    }
+  }
+  
+  return summary;
+}
+
+async function processWebhookQueue() {
+  const snapshot = await admin.database().ref('webhookDeliveries')
+    .orderByChild('status')
+    .equalTo('pending')
+    .once('value');
+  
+  const summary = { due: 0, delivered: 0, retrying: 0, failed: 0, pruned: 0 };
+  
+  for (const delivery of Object.values(snapshot.val() || {})) {
+    if (delivery.nextAttemptAt > Date.now()) continue;
+    summary.due++;
+    
+    const status = await attemptWebhookDelivery(delivery.id);
+    if (status === 'delivered') summary.delivered++;
+    else if (status === 'failed') summary.failed++;
+    else if (status === 'pending') summary.retrying++;
+  }
+  
+  summary.pruned = await pruneWebhookDeliveries();
+  return summary;
+}
+
+async function pruneWebhookDeliveries() {
+  const snapshot = await admin.database().ref('webhookDeliveries')
+    .orderByChild('createdAt')
+    .endAt(Date.now() - WEBHOOK_LOG_RETENTION)
+    .once('value');
+  
+  const updates = {};
+  snapshot.forEach(child => {
+    if (child.val().status !== 'pending') updates[child.key] = null;
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    await admin.database().ref('webhookDeliveries').update(updates);
+  }
+  return Object.keys(updates).length;
+}
+
+// ========== RESELLER FUNCTIONS ==========
+function generateResellerId() {
+  return 'RS' + Math.random().toString(36).substring(2, 8).toUpperCase();
+}
+
+function calculatePriceWithCommission(basePrice, commissionPercent) {
+  const commission = Math.round(basePrice * commissionPercent / 100);
+  return basePrice + commission;
+}
+
+async function getReseller(resellerId) {
+  try {
+    const resellerRef = admin.database().ref('resellers/' + resellerId);
+    const snapshot = await resellerRef.once('value');
+    return snapshot.val();
+  } catch (error) {
+    console.error('Get reseller error:', error);
+    return null;
+  }
+}
+
+// Commission is held in pendingCommission until the number's OTP arrived and this long has passed
+const COMMISSION_HOLD_HOURS = parseFloat(process.env.COMMISSION_HOLD_HOURS) || 72;
+const COMMISSION_HOLD_PERIOD = COMMISSION_HOLD_HOURS * 60 * 60 * 1000;
+
+// New sales only add to pendingCommission; releaseDueCommissions moves it into the wallet later
+async function updateResellerStats(resellerId, amount, commission, reference) {
+  try {
+    const increment = admin.database.ServerValue.increment;
+    await admin.database().ref('resellers/' + resellerId).update({
+      pendingCommission: increment(commission),
+      totalSales: increment(amount),
+      totalCommission: increment(commission),
+      referralCount: increment(1),
+      lastSale: Date.now()
+    });
+    return true;
+  } catch (error) {
+    console.error('Update reseller stats error:', error);
+    return false;
+  }
+}
+
+// Starts the hold clock once the customer got their OTP. Sales whose number never delivers
+// stay pending until the refund reverses them.
+async function startCommissionHold(transaction) {
+  if (!transaction.saleId || !transaction.resellerId) return;
+  
+  try {
+    const releaseAt = Date.now() + COMMISSION_HOLD_PERIOD;
+    const result = await admin.database().ref('resellerSales/' + transaction.resellerId + '/' + transaction.saleId)
+      .transaction(current => {
+        if (!current) return current;
+        if (current.holdStatus !== 'pending' || current.releaseAt) return;
+        return { ...current, otpDeliveredAt: Date.now(), releaseAt: releaseAt };
+      });
+    
+    if (result.committed && result.snapshot.val()) {
+      await admin.database().ref('commissionHolds/' + transaction.saleId).set({
+        saleId: transaction.saleId,
+        resellerId: transaction.resellerId,
+        releaseAt: releaseAt
+      });
+    }
+  } catch (error) {
+    console.error(`Commission hold for ${transaction.saleId} not started:`, error);
+  }
+}
+
+// Moves one sale's held commission (less anything reversed) into the reseller's wallet
+async function releaseCommission(resellerId, saleId) {
+  let amount = 0;
+  let disputed = false;
+  
+  const result = await admin.database().ref('resellerSales/' + resellerId + '/' + saleId).transaction(current => {
+    amount = 0;
+    disputed = false;
+    if (!current) return current;
+    if (current.holdStatus !== 'pending' || !current.releaseAt || current.releaseAt > Date.now()) return;
+    
+    // An open dispute may still take the commission back; the hold waits for a later run
+    if (current.disputeStatus === 'open') {
+      disputed = true;
+      return;
+    }
+    
+    amount = roundMoney(current.commission - (current.reversedCommission || 0));
+    return { ...current, holdStatus: 'released', releasedAt: Date.now() };
+  });
+  
+  if (disputed) return 0;
+  
+  await admin.database().ref('commissionHolds/' + saleId).remove();
+  
+  if (!result.committed || !result.snapshot.val() || amount <= 0) return 0;
+  
+  await admin.database().ref('resellers/' + resellerId + '/pendingCommission')
+    .set(admin.database.ServerValue.increment(-amount));
+  
+  await moveWallet('resellers/' + resellerId, amount, {
+    type: 'commission',
+    counterAccount: HOUSE_COMMISSIONS,
+    reason: 'Hold period ended',
+    reference: saleId
+  });
+  
+  return amount;
+}
+
+async function releaseDueCommissions() {
+  const snapshot = await admin.database().ref('commissionHolds')
+    .orderByChild('releaseAt')
+    .endAt(Date.now())
+    .once('value');
+  
+  const summary = { released: 0, amount: 0, errors: 0 };
+  
+  for (const hold of Object.values(snapshot.val() || {})) {
+    try {
+      const amount = await releaseCommission(hold.resellerId, hold.saleId);
+      if (amount > 0) {
+        summary.released++;
+        summary.amount = roundMoney(summary.amount + amount);
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`Commission release for ${hold.saleId} failed:`, error);
+    }
+  }
+  
+  return summary;
+}
+
+// Copies a dispute's status onto the sale it is about, so the release above sees it atomically.
+// sale: { resellerId, saleId, transactionId }
+async function setSaleDisputeStatus(sale, status) {
+  if (!sale.resellerId) return;
+  
+  const salesRef = admin.database().ref('resellerSales/' + sale.resellerId);
+  let saleId = sale.saleId;
+  
+  // Numbers bought before saleId was stored on the transaction
+  if (!saleId) {
+    const snapshot = await salesRef.orderByChild('transactionId').equalTo(sale.transactionId).once('value');
+    saleId = Object.keys(snapshot.val() || {})[0] || null;
+  }
+  if (!saleId) return;
+  
+  await salesRef.child(saleId).transaction(current => (current ? { ...current, disputeStatus: status } : current));
+}
+
+// Takes back the part of a sale's commission that matches what the customer got refunded.
+// sale: { resellerId, commission, price, transactionId, saleId }. Commission still on hold comes
+// out of pendingCommission; released commission comes out of the wallet, which may go negative
+// when it was already withdrawn. Returns the amount reversed.
+async function reverseResellerCommission(sale, refundAmount, reference) {
+  try {
+    if (!sale.resellerId || !(sale.commission > 0) || !(sale.price > 0)) return 0;
+    
+    const salesRef = admin.database().ref('resellerSales/' + sale.resellerId);
+    let saleId = sale.saleId;
+    
+    // Numbers bought before saleId was stored on the transaction
+    if (!saleId) {
+      const snapshot = await salesRef.orderByChild('transactionId').equalTo(sale.transactionId).once('value');
+      saleId = Object.keys(snapshot.val() || {})[0] || null;
+    }
+    
+    const refunded = Math.min(refundAmount, sale.price);
+    const owed = roundMoney(sale.commission * refunded / sale.price);
+    let reversal = owed;
+    let fromPending = false;
+    
+    // Never take back more than the sale earned, however many refunds it sees
+    if (saleId) {
+      const result = await salesRef.child(saleId).transaction(current => {
+        if (!current) return current;
+        
+        const alreadyReversed = current.reversedCommission || 0;
+        reversal = roundMoney(Math.min(owed, current.commission - alreadyReversed));
+        if (reversal <= 0) return;
+        
+        fromPending = current.holdStatus === 'pending';
+        
+        const reversedCommission = roundMoney(alreadyReversed + reversal);
+        return {
+          ...current,
+          reversedCommission: reversedCommission,
+          reversedAmount: roundMoney((current.reversedAmount || 0) + refunded),
+          status: reversedCommission >= current.commission ? 'reversed' : 'partially_reversed',
+          reversedAt: Date.now(),
+          reversalReference: reference
+        };
+      });
+      
+      if (!result.committed) return 0;
+    }
+    
+    if (reversal <= 0) return 0;
+    
+    const increment = admin.database.ServerValue.increment;
+    
+    if (!fromPending) {
+      await moveWallet('resellers/' + sale.resellerId, -reversal, {
+        type: 'commission_reversal',
+        counterAccount: HOUSE_COMMISSIONS,
+        reason: 'Sale refunded',
+        reference: reference,
+        allowNegative: true
+      });
+    }
+    
+    const updates = {
+      totalSales: increment(-refunded),
+      totalCommission: increment(-reversal),
+      totalReversed: increment(reversal)
+    };
+    if (fromPending) updates.pendingCommission = increment(-reversal);
+    
+    await admin.database().ref('resellers/' + sale.resellerId).update(updates);
+    
+    console.log(`₹${reversal} commission reversed from reseller ${sale.resellerId} (${reference})`);
+    return reversal;
+  } catch (error) {
+    // The customer refund already happened; reconciliation and the sale record show what is left
+    console.error(`Commission reversal failed for ${sale.transactionId}:`, error);
+    return 0;
+  }
+}
+
+async function getReferredUsersCount(resellerId) {
+  try {
+    const usersRef = admin.database().ref('users');
+    const snapshot = await usersRef.orderByChild('referredBy').equalTo(resellerId).once('value');
+    return snapshot.exists() ? Object.keys(snapshot.val()).length : 0;
+  } catch (error) {
+    console.error('Get referred users error:', error);
+    return 0;
   }
 }
 
@@ -242,23 +1959,34 @@ app.post('/api/changeApiKey', changeKeyLimiter, async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid API key' });
     }
     
-    const newApiKey = 'sk_' + Math.random().toString(36).substring(2) + Math.random().toString(36).substring(2);
+    const blocked = await checkApiKeyIp(req, user);
+    if (blocked) {
+      return res.status(blocked.statusCode).json(blocked.body);
+    }
+    
+    if (user.keyId !== PRIMARY_KEY_ID) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the primary API key can be changed here. Revoke named keys from the dashboard.'
+      });
+    }
     
-    await admin.database().ref('users/' + user.uid + '/apiKey').set(newApiKey);
+    const issued = await issueApiKey(user.uid);
     
     const logRef = admin.database().ref('apiKeyLogs/' + user.uid).push();
     await logRef.set({
-      oldKey: user.apiKey ? user.apiKey.substring(0, 10) + '...' : 'No key',
-      newKey: newApiKey.substring(0, 10) + '...',
+      oldKey: issued.previousPrefix ? issued.previousPrefix + '...' : 'No key',
+      newKey: issued.prefix + '...',
       timestamp: Date.now(),
-      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      ip: getClientIp(req),
       changeType: 'user_request'
     });
     
     res.json({
       success: true,
-      message: 'API key changed successfully',
-      newApiKey: newApiKey,
+      message: 'API key changed successfully. Save it now - it will not be shown again.',
+      newApiKey: issued.key,
+      keyPrefix: issued.prefix,
       warning: 'Old API key is now invalid. Update all your applications immediately.',
       timestamp: new Date().toISOString()
     });
@@ -284,23 +2012,22 @@ app.post('/api/dashboard/changeApiKey', changeKeyLimiter, async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    const newApiKey = 'sk_' + Math.random().toString(36).substring(2) + Math.random().toString(36).substring(2);
-    
-    await admin.database().ref('users/' + user.uid + '/apiKey').set(newApiKey);
+    const issued = await issueApiKey(user.uid);
     
     const logRef = admin.database().ref('apiKeyLogs/' + user.uid).push();
     await logRef.set({
-      oldKey: user.apiKey ? user.apiKey.substring(0, 10) + '...' : 'No key',
-      newKey: newApiKey.substring(0, 10) + '...',
+      oldKey: issued.previousPrefix ? issued.previousPrefix + '...' : 'No key',
+      newKey: issued.prefix + '...',
       timestamp: Date.now(),
-      ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+      ip: getClientIp(req),
       changeType: 'dashboard_request'
     });
     
     res.json({
       success: true,
-      message: 'API key changed successfully',
-      newApiKey: newApiKey,
+      message: 'API key changed successfully. Save it now - it will not be shown again.',
+      newApiKey: issued.key,
+      keyPrefix: issued.prefix,
       warning: 'Old API key is now invalid. Update all your applications immediately.',
       timestamp: new Date().toISOString()
     });
@@ -345,10 +2072,7 @@ app.get('/api/dashboard/apiKeyHistory', async (req, res) => {
   }
 });
 
-// ========== ENHANCED RESELLER SYSTEM ==========
-
-// 1. Reseller Registration
-app.post('/api/reseller/register', async (req, res) => {
+app.get('/api/dashboard/apiKeys', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -363,72 +2087,40 @@ app.post('/api/reseller/register', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    // Check if user already referred by someone (cannot become reseller)
-    if (user.referredBy) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Referred users cannot become resellers' 
-      });
-    }
+    const [userSnapshot, keysSnapshot] = await Promise.all([
+      admin.database().ref('users/' + user.uid).once('value'),
+      admin.database().ref('apiKeys/' + user.uid).once('value')
+    ]);
+    const userData = userSnapshot.val() || {};
     
-    // Check if already a reseller
-    if (user.resellerId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'You are already a reseller' 
-      });
-    }
-    
-    const { commissionPercent, customName } = req.body;
-    
-    const commission = parseInt(commissionPercent) || 15;
-    if (commission < 5 || commission > 30) {
-      return res.status(400).json({ success: false, error: 'Commission must be 5-30%' });
-    }
-    
-    // Generate reseller ID
-    const resellerId = generateResellerId();
-    
-    // Create reseller record
-    const resellerData = {
-      id: resellerId,
-      userId: user.uid,
-      name: user.name,
-      customName: customName || `${user.name}'s OTP Panel`,
-      email: user.email,
-      commissionPercent: commission,
-      wallet: 0,
-      totalSales: 0,
-      totalCommission: 0,
-      referralCount: 0,
-      status: 'active',
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
-      referralLink: `https://otpseller.vercel.app/?ref=${resellerId}`,
-      brandedLink: `https://otpseller.vercel.app/?ref=${resellerId}&brand=1`
-    };
-    
-    await admin.database().ref('resellers/' + resellerId).set(resellerData);
-    await admin.database().ref('users/' + user.uid + '/resellerId').set(resellerId);
+    const keys = Object.entries(keysSnapshot.val() || {})
+      .map(([keyId, key]) => toPublicApiKey(keyId, key))
+      .sort((a, b) => b.createdAt - a.createdAt);
     
     res.json({
       success: true,
-      message: 'Reseller account created successfully!',
-      resellerId: resellerId,
-      referralLink: `https://otpseller.vercel.app/?ref=${resellerId}`,
-      brandedLink: `https://otpseller.vercel.app/?ref=${resellerId}&brand=1`,
-      customName: resellerData.customName,
-      commissionPercent: commission
+      primary: user.apiKeyPrefix ? {
+        id: PRIMARY_KEY_ID,
+        name: 'Primary',
+        prefix: user.apiKeyPrefix,
+        scopes: API_KEY_SCOPES,
+        allowedIps: Object.values(userData.apiKeyAllowedIps || {}),
+        signingKeyId: userData.signingKeyId || null,
+        lastUsedAt: userData.apiKeyLastUsedAt || null,
+        status: 'active'
+      } : null,
+      keys: keys,
+      availableScopes: API_KEY_SCOPES
     });
     
   } catch (error) {
-    console.error('Reseller register error:', error);
-    res.status(500).json({ success: false, error: 'Failed to create reseller account' });
+    console.error('List API keys error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load API keys' });
   }
 });
 
-// 2. Get Reseller Info (For Modal)
-app.get('/api/reseller/info', async (req, res) => {
+// Body: { name, scopes: ['read', 'purchase', 'cancel'] or "read,cancel", expiresInDays?, allowedIps? }
+app.post('/api/dashboard/apiKeys', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -443,49 +2135,74 @@ app.get('/api/reseller/info', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    if (!user.resellerId) {
-      return res.json({
-        success: false,
-        message: 'You are not a reseller'
-      });
+    const name = String(req.body.name || '').trim().substring(0, 50);
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Key name required' });
     }
     
-    const reseller = await getReseller(user.resellerId);
-    const referredCount = await getReferredUsersCount(user.resellerId);
+    const parsed = parseApiKeyScopes(req.body.scopes);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
     
-    if (!reseller) {
-      return res.status(404).json({ success: false, error: 'Reseller not found' });
+    const allowlist = parseAllowedIps(req.body.allowedIps);
+    if (allowlist.error) {
+      return res.status(400).json({ success: false, error: allowlist.error });
     }
     
-    // Get recent sales (last 7 days)
-    const salesRef = admin.database().ref('resellerSales/' + user.resellerId);
-    const salesSnapshot = await salesRef.orderByChild('timestamp').limitToLast(20).once('value');
-    const recentSales = salesSnapshot.val() || {};
+    let expiresAt = null;
+    if (req.body.expiresInDays !== undefined && req.body.expiresInDays !== null && req.body.expiresInDays !== '') {
+      const days = Number(req.body.expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > 365) {
+        return res.status(400).json({ success: false, error: 'expiresInDays must be between 1 and 365' });
+      }
+      expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+    }
+    
+    const keysSnapshot = await admin.database().ref('apiKeys/' + user.uid).once('value');
+    const activeCount = Object.entries(keysSnapshot.val() || {})
+      .filter(([keyId, key]) => toPublicApiKey(keyId, key).status === 'active').length;
+    
+    if (activeCount >= MAX_NAMED_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_NAMED_API_KEYS} active keys. Revoke one first.`
+      });
+    }
+    
+    const created = await createNamedApiKey(user.uid, {
+      name,
+      scopes: parsed.scopes,
+      expiresAt,
+      allowedIps: allowlist.allowedIps
+    });
+    
+    const logRef = admin.database().ref('apiKeyLogs/' + user.uid).push();
+    await logRef.set({
+      keyName: name,
+      newKey: created.apiKey.prefix + '...',
+      scopes: parsed.scopes,
+      timestamp: Date.now(),
+      ip: getClientIp(req),
+      changeType: 'named_key_created'
+    });
     
     res.json({
       success: true,
-      reseller: {
-        ...reseller,
-        referredCount: referredCount
-      },
-      recentSales: recentSales,
-      stats: {
-        wallet: reseller.wallet || 0,
-        totalSales: reseller.totalSales || 0,
-        totalCommission: reseller.totalCommission || 0,
-        referralCount: referredCount,
-        commissionPercent: reseller.commissionPercent || 15
-      }
+      message: 'API key created. Save it now - it will not be shown again.',
+      key: created.key,
+      apiKey: created.apiKey
     });
     
   } catch (error) {
-    console.error('Get reseller info error:', error);
-    res.status(500).json({ success: false, error: 'Failed to get reseller info' });
+    console.error('Create API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
   }
 });
 
-// 3. Update Reseller Branding
-app.post('/api/reseller/updateBranding', async (req, res) => {
+// Body: { allowedIps: ['203.0.113.7', '10.0.0.0/8'] } - an empty list allows every address.
+// :id is a named key id or "primary".
+app.post('/api/dashboard/apiKeys/:id/allowedIps', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -500,36 +2217,54 @@ app.post('/api/reseller/updateBranding', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    if (!user.resellerId) {
-      return res.status(403).json({ success: false, error: 'You are not a reseller' });
+    const allowlist = parseAllowedIps(req.body.allowedIps);
+    if (allowlist.error) {
+      return res.status(400).json({ success: false, error: allowlist.error });
     }
     
-    const { customName, themeColor, welcomeMessage } = req.body;
+    let path = 'users/' + user.uid + '/apiKeyAllowedIps';
+    let keyLabel = user.apiKeyPrefix;
     
-    const updates = {
-      updatedAt: Date.now()
-    };
+    if (req.params.id !== PRIMARY_KEY_ID) {
+      const snapshot = await admin.database().ref('apiKeys/' + user.uid + '/' + req.params.id).once('value');
+      const key = snapshot.val();
+      
+      if (!key || key.revokedAt) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+      
+      path = 'apiKeys/' + user.uid + '/' + req.params.id + '/allowedIps';
+      keyLabel = key.prefix;
+    }
     
-    if (customName) updates.customName = customName;
-    if (themeColor) updates.themeColor = themeColor;
-    if (welcomeMessage) updates.welcomeMessage = welcomeMessage;
+    await admin.database().ref(path).set(allowlist.allowedIps.length > 0 ? allowlist.allowedIps : null);
     
-    await admin.database().ref('resellers/' + user.resellerId).update(updates);
+    const logRef = admin.database().ref('apiKeyLogs/' + user.uid).push();
+    await logRef.set({
+      key: keyLabel + '...',
+      allowedIps: allowlist.allowedIps,
+      timestamp: Date.now(),
+      ip: getClientIp(req),
+      changeType: 'allowlist_updated'
+    });
     
     res.json({
       success: true,
-      message: 'Branding updated successfully',
-      updates: updates
+      message: allowlist.allowedIps.length > 0
+        ? `Key restricted to ${allowlist.allowedIps.length} address(es)`
+        : 'Key allowlist cleared - it works from any address',
+      allowedIps: allowlist.allowedIps,
+      yourIp: getClientIp(req)
     });
     
   } catch (error) {
-    console.error('Update branding error:', error);
-    res.status(500).json({ success: false, error: 'Failed to update branding' });
+    console.error('Update API key allowlist error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update allowlist' });
   }
 });
 
-// 4. Request Withdrawal
-app.post('/api/reseller/withdraw', async (req, res) => {
+// Creates (or replaces) the request-signing credential of a key. :id is a named key id or "primary".
+app.post('/api/dashboard/apiKeys/:id/signingSecret', changeKeyLimiter, async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -544,164 +2279,152 @@ app.post('/api/reseller/withdraw', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    if (!user.resellerId) {
-      return res.status(403).json({ success: false, error: 'You are not a reseller' });
-    }
-    
-    const { amount, paymentMethod, upiId } = req.body;
-    
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ success: false, error: 'Invalid amount' });
-    }
-    
-    const reseller = await getReseller(user.resellerId);
-    
-    if (!reseller || (reseller.wallet || 0) < amount) {
-      return res.status(400).json({ success: false, error: 'Insufficient balance' });
-    }
+    let keyLabel = user.apiKeyPrefix;
     
-    // Minimum withdrawal ₹100
-    if (amount < 100) {
-      return res.status(400).json({ success: false, error: 'Minimum withdrawal is ₹100' });
+    if (req.params.id === PRIMARY_KEY_ID) {
+      if (!user.apiKeyPrefix) {
+        return res.status(400).json({ success: false, error: 'Generate an API key first' });
+      }
+    } else {
+      const key = await getActiveNamedApiKey(user.uid, req.params.id);
+      if (!key) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+      keyLabel = key.prefix;
     }
     
-    // Create withdrawal request
-    const withdrawalId = 'WD' + Date.now() + Math.random().toString(36).substring(2, 6).toUpperCase();
-    
-    const withdrawalData = {
-      id: withdrawalId,
-      resellerId: user.resellerId,
-      resellerName: reseller.name,
-      amount: amount,
-      paymentMethod: paymentMethod || 'UPI',
-      upiId: upiId,
-      status: 'pending',
-      createdAt: Date.now(),
-      walletBefore: reseller.wallet || 0,
-      walletAfter: (reseller.wallet || 0) - amount
-    };
-    
-    // Save withdrawal request
-    await admin.database().ref('withdrawals/' + withdrawalId).set(withdrawalData);
-    
-    // Deduct from reseller wallet (temporarily held)
-    await admin.database().ref('resellers/' + user.resellerId + '/wallet').set(withdrawalData.walletAfter);
+    const credential = await issueSigningCredential(user.uid, req.params.id);
     
-    // Add to withdrawal history
-    await admin.database().ref('resellerWithdrawals/' + user.resellerId + '/' + withdrawalId).set(withdrawalData);
+    const logRef = admin.database().ref('apiKeyLogs/' + user.uid).push();
+    await logRef.set({
+      key: keyLabel + '...',
+      signingKeyId: credential.keyId,
+      timestamp: Date.now(),
+      ip: getClientIp(req),
+      changeType: 'signing_secret_issued'
+    });
     
     res.json({
       success: true,
-      message: 'Withdrawal request submitted successfully',
-      withdrawalId: withdrawalId,
-      amount: amount,
-      status: 'pending',
-      estimatedTime: '24-48 hours'
+      message: 'Signing secret created. Save it now - it will not be shown again.',
+      signingKeyId: credential.keyId,
+      signingSecret: credential.secret
     });
     
   } catch (error) {
-    console.error('Withdrawal error:', error);
-    res.status(500).json({ success: false, error: 'Failed to process withdrawal' });
+    console.error('Issue signing secret error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create signing secret' });
   }
 });
 
-// 5. Get Reseller Prices (Public - For referred users) - COMMISSION HIDDEN
-app.get('/api/reseller/prices', async (req, res) => {
+app.post('/api/dashboard/apiKeys/:id/revoke', async (req, res) => {
   try {
-    const { ref } = req.query;
+    const authHeader = req.headers.authorization;
     
-    if (!ref) {
-      return res.status(400).json({ success: false, error: 'Referral code required' });
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
     }
     
-    const reseller = await getReseller(ref);
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
     
-    if (!reseller) {
-      return res.status(404).json({ success: false, error: 'Invalid referral code' });
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    const commissionPercent = reseller.commissionPercent || 15;
-    const pricesWithCommission = {};
+    const keyRef = admin.database().ref('apiKeys/' + user.uid + '/' + req.params.id);
+    const snapshot = await keyRef.once('value');
+    const key = snapshot.val();
     
-    Object.keys(countries).forEach(key => {
-      const service = countries[key];
-      const finalPrice = calculatePriceWithCommission(service.price, commissionPercent);
-      pricesWithCommission[key] = {
-        ...service,
-        basePrice: service.price,
-        finalPrice: finalPrice, // Only final price sent
-        commissionPercent: commissionPercent
-        // COMMISSION FIELD REMOVED - Hide from user
-      };
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    
+    if (key.revokedAt) {
+      return res.status(400).json({ success: false, error: 'API key already revoked' });
+    }
+    
+    // The record stays for the key list; dropping the index entry is what disables the key
+    const updates = {
+      ['apiKeys/' + user.uid + '/' + req.params.id + '/revokedAt']: Date.now(),
+      ['apiKeyIndex/' + key.hash]: null
+    };
+    
+    if (key.signingKeyId) {
+      updates['signingKeyIndex/' + key.signingKeyId] = null;
+    }
+    
+    await admin.database().ref().update(updates);
+    
+    const logRef = admin.database().ref('apiKeyLogs/' + user.uid).push();
+    await logRef.set({
+      keyName: key.name,
+      oldKey: key.prefix + '...',
+      timestamp: Date.now(),
+      ip: getClientIp(req),
+      changeType: 'named_key_revoked'
     });
     
     res.json({
       success: true,
-      reseller: {
-        name: reseller.name,
-        customName: reseller.customName || reseller.name,
-        commissionPercent: commissionPercent
-      },
-      prices: pricesWithCommission
-      // MESSAGE REMOVED - Don't show commission info
+      message: `API key "${key.name}" revoked`,
+      apiKey: toPublicApiKey(req.params.id, { ...key, revokedAt: Date.now() })
     });
     
   } catch (error) {
-    console.error('Get reseller prices error:', error);
-    res.status(500).json({ success: false, error: 'Failed to get prices' });
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
   }
 });
 
-// 6. Get Reseller Config (Public - For frontend branding)
-app.get('/api/reseller/config', async (req, res) => {
+// Body: { requestsPerMinute, purchasesPerHour, spendPerDay } - empty fields remove that key limit
+app.post('/api/dashboard/apiKeys/:id/limits', async (req, res) => {
   try {
-    const { ref, brand } = req.query;
+    const authHeader = req.headers.authorization;
     
-    if (!ref) {
-      return res.json({
-        success: false,
-        isReseller: false,
-        message: 'No referral code'
-      });
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
     }
     
-    const reseller = await getReseller(ref);
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
     
-    if (!reseller) {
-      return res.json({
-        success: false,
-        isReseller: false,
-        message: 'Invalid referral code'
-      });
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    // Check if branding is requested
-    const showBranding = brand === '1';
+    if (req.params.id === PRIMARY_KEY_ID) {
+      return res.status(400).json({ success: false, error: 'The primary key uses your account limits' });
+    }
+    
+    const parsed = parseLimits(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    
+    const keyRef = admin.database().ref('apiKeys/' + user.uid + '/' + req.params.id);
+    const snapshot = await keyRef.once('value');
+    
+    if (!snapshot.exists() || snapshot.val().revokedAt) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    
+    const limits = Object.keys(parsed.limits).length > 0 ? parsed.limits : null;
+    await keyRef.child('limits').set(limits);
     
     res.json({
       success: true,
-      isReseller: true,
-      showBranding: showBranding,
-      reseller: {
-        id: reseller.id,
-        name: reseller.name,
-        customName: reseller.customName || `${reseller.name}'s OTP Panel`,
-        themeColor: reseller.themeColor || '#00ff99',
-        welcomeMessage: reseller.welcomeMessage || 'Welcome to OTP Service',
-        commissionPercent: reseller.commissionPercent || 15
-      },
-      referralLink: `https://otpseller.vercel.app/?ref=${ref}`,
-      brandedLink: `https://otpseller.vercel.app/?ref=${ref}&brand=1`
+      limits: limits,
+      usage: await getUsage(user.uid, req.params.id, limits || {})
     });
     
   } catch (error) {
-    console.error('Get reseller config error:', error);
-    res.status(500).json({ success: false, error: 'Failed to load config' });
+    console.error('Update API key limits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update key limits' });
   }
 });
 
-// 7. Check if user can become reseller
-app.get('/api/reseller/canBecome', async (req, res) => {
+app.get('/api/dashboard/limits', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -716,27 +2439,21 @@ app.get('/api/reseller/canBecome', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    // Check conditions
-    const canBecome = !user.referredBy && !user.resellerId;
-    const reason = user.referredBy ? 'Referred users cannot become resellers' : 
-                   user.resellerId ? 'You are already a reseller' : 'Eligible';
-    
     res.json({
       success: true,
-      canBecome: canBecome,
-      reason: reason,
-      isReferred: !!user.referredBy,
-      isReseller: !!user.resellerId
+      own: user.limits || {},
+      maximum: { ...DEFAULT_LIMITS, ...(user.limitOverrides || {}) },
+      usage: await getUsage(user.uid, ACCOUNT_COUNTER, getAccountLimits(user))
     });
     
   } catch (error) {
-    console.error('Check reseller eligibility error:', error);
-    res.status(500).json({ success: false, error: 'Failed to check eligibility' });
+    console.error('Get limits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load limits' });
   }
 });
 
-// 8. Get withdrawal history
-app.get('/api/reseller/withdrawals', async (req, res) => {
+// Body: { requestsPerMinute, purchasesPerHour, spendPerDay }; caps above the account maximum have no effect
+app.post('/api/dashboard/limits', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -751,491 +2468,410 @@ app.get('/api/reseller/withdrawals', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    if (!user.resellerId) {
-      return res.status(403).json({ success: false, error: 'You are not a reseller' });
+    const parsed = parseLimits(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
     }
     
-    const withdrawalsRef = admin.database().ref('resellerWithdrawals/' + user.resellerId);
-    const snapshot = await withdrawalsRef.orderByChild('createdAt').once('value');
-    const withdrawals = snapshot.val() || {};
+    const limits = Object.keys(parsed.limits).length > 0 ? parsed.limits : null;
+    await admin.database().ref('users/' + user.uid + '/limits').set(limits);
     
-    const withdrawalsArray = Object.values(withdrawals).sort((a, b) => b.createdAt - a.createdAt);
+    const updated = { ...user, limits: limits };
     
     res.json({
       success: true,
-      withdrawals: withdrawalsArray,
-      count: withdrawalsArray.length
+      message: 'Limits saved',
+      own: limits || {},
+      maximum: { ...DEFAULT_LIMITS, ...(user.limitOverrides || {}) },
+      usage: await getUsage(user.uid, ACCOUNT_COUNTER, getAccountLimits(updated))
     });
     
   } catch (error) {
-    console.error('Get withdrawals error:', error);
-    res.status(500).json({ success: false, error: 'Failed to load withdrawals' });
+    console.error('Update limits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save limits' });
   }
 });
 
-// ========== PUBLIC API ENDPOINTS ==========
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    service: 'Happy OTP API',
-    version: '2.1'
-  });
-});
-
-app.get('/api/services', (req, res) => {
-  res.json({
-    success: true,
-    services: countries,
-    count: Object.keys(countries).length
-  });
-});
+// ========== ENHANCED RESELLER SYSTEM ==========
 
-app.get('/api/getBalance', async (req, res) => {
+// 1. Reseller Registration
+app.post('/api/reseller/register', async (req, res) => {
   try {
-    const { api_key } = req.query;
     const authHeader = req.headers.authorization;
     
-    let user = null;
-    
-    if (api_key) {
-      user = await getUserByApiKey(api_key);
-    } else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.replace('Bearer ', '');
-      user = await getUserByToken(token);
-    }
-    
-    if (!user) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ success: false, error: 'Authentication required' });
     }
     
-    res.json({
-      success: true,
-      balance: user.wallet || 0,
-      currency: 'INR',
-      user: user.email
-    });
-  } catch (error) {
-    console.error('Get balance error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
-  }
-});
-
-// ========== FIXED GET NUMBER WITH COMMISSION ==========
-app.get('/api/getNumber', async (req, res) => {
-  try {
-    const { api_key, country, ref } = req.query;
-    const authHeader = req.headers.authorization;
-    
-    let user = null;
-    
-    if (api_key) {
-      user = await getUserByApiKey(api_key);
-    } else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.replace('Bearer ', '');
-      user = await getUserByToken(token);
-    }
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
     
     if (!user) {
-      return res.status(401).json({ success: false, error: 'Authentication required' });
+      return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    if (!country) {
-      return res.status(400).json({ success: false, error: 'Country parameter required' });
+    // Check if user already referred by someone (cannot become reseller)
+    if (user.referredBy) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Referred users cannot become resellers' 
+      });
     }
     
-    const service = countries[country];
-    if (!service) {
-      return res.status(400).json({ success: false, error: 'Invalid service' });
+    // Check if already a reseller
+    if (user.resellerId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'You are already a reseller' 
+      });
     }
     
-    // ========== COMMISSION CALCULATION FIXED ==========
-    let finalPrice = service.price;
-    let commission = 0;
-    let resellerId = null;
-    
-    // Check multiple sources for ref
-    let referralCode = ref || user.referredBy;
+    const { commissionPercent, customName } = req.body;
     
-    // If no ref in query/user, check the referer header
-    if (!referralCode && req.headers.referer) {
-      try {
-        const refererUrl = new URL(req.headers.referer);
-        const refParam = refererUrl.searchParams.get('ref');
-        if (refParam) referralCode = refParam;
-      } catch (e) {
-        console.log('Error parsing referer URL:', e.message);
-      }
+    const commission = parseInt(commissionPercent) || 15;
+    if (commission < 5 || commission > 30) {
+      return res.status(400).json({ success: false, error: 'Commission must be 5-30%' });
     }
     
-    if (referralCode) {
-      const reseller = await getReseller(referralCode);
-      
-      if (reseller) {
-        // Calculate commission
-        finalPrice = calculatePriceWithCommission(service.price, reseller.commissionPercent || 15);
-        commission = finalPrice - service.price;
-        resellerId = referralCode;
-        
-        console.log(`Commission Applied: Base ₹${service.price} + Commission ₹${commission} = Final ₹${finalPrice}`);
-        
-        // Save referral if not already saved
-        if (!user.referredBy) {
-          await admin.database().ref('users/' + user.uid + '/referredBy').set(referralCode);
-          console.log(`User ${user.uid} marked as referred by ${referralCode}`);
-        }
-      }
-    }
+    // Generate reseller ID
+    const resellerId = generateResellerId();
     
-    // Check balance with FINAL PRICE (including commission)
-    if ((user.wallet || 0) < finalPrice) {
-      return res.status(402).json({ 
-        success: false, 
-        error: `Insufficient balance. Required: ₹${finalPrice}, Available: ₹${user.wallet || 0}` 
-      });
-    }
+    // Create reseller record
+    const resellerData = {
+      id: resellerId,
+      userId: user.uid,
+      name: user.name,
+      customName: customName || `${user.name}'s OTP Panel`,
+      email: user.email,
+      commissionPercent: commission,
+      wallet: 0,
+      totalSales: 0,
+      totalCommission: 0,
+      referralCount: 0,
+      status: 'active',
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      referralLink: `https://otpseller.vercel.app/?ref=${resellerId}`,
+      brandedLink: `https://otpseller.vercel.app/?ref=${resellerId}&brand=1`
+    };
     
-    // Get number from FireXOTP provider
-    const url = `https://firexotp.com/stubs/handler_api.php?action=getNumber&api_key=${API_KEY}&service=wa&country=${service.code}`;
-    const response = await axios.get(url, { timeout: 10000 });
-    const data = response.data;
+    await admin.database().ref('resellers/' + resellerId).set(resellerData);
+    await admin.database().ref('users/' + user.uid + '/resellerId').set(resellerId);
     
-    console.log('FireXOTP Response:', data);
+    res.json({
+      success: true,
+      message: 'Reseller account created successfully!',
+      resellerId: resellerId,
+      referralLink: `https://otpseller.vercel.app/?ref=${resellerId}`,
+      brandedLink: `https://otpseller.vercel.app/?ref=${resellerId}&brand=1`,
+      customName: resellerData.customName,
+      commissionPercent: commission
+    });
     
-    if (data.includes('ACCESS_NUMBER')) {
-      const parts = data.split(':');
-      if (parts.length >= 3) {
-        const transactionId = parts[1];
-        const phoneNumber = parts[2];
-        
-        // Deduct FINAL PRICE from user balance
-        const newBalance = await deductBalance(user.uid, finalPrice, service);
-        
-        // Save active transaction
-        const activeRef = admin.database().ref('activeTransactions/' + user.uid);
-        await activeRef.set({
-          id: transactionId,
-          number: phoneNumber,
-          service: country,
-          price: finalPrice, // Save final price
-          basePrice: service.price,
-          commission: commission,
-          resellerId: resellerId,
-          startTime: Date.now(),
-          expiresAt: Date.now() + (15 * 60 * 1000)
-        });
-        
-        // Save to history
-        const historyRef = admin.database().ref('userHistory/' + user.uid).push();
-        await historyRef.set({
-          transactionId: transactionId,
-          number: phoneNumber,
-          service: service.name,
-          country: service.country,
-          price: finalPrice, // Save final price
-          basePrice: service.price,
-          commission: commission,
-          resellerId: resellerId,
-          status: 'active',
-          timestamp: Date.now(),
-          expiresAt: Date.now() + (15 * 60 * 1000)
-        });
-        
-        // Update reseller stats if commission exists
-        if (commission > 0 && resellerId) {
-          await updateResellerStats(resellerId, finalPrice, commission);
-          
-          // Record sale for reseller
-          const saleId = 'SALE' + Date.now();
-          const saleRef = admin.database().ref('resellerSales/' + resellerId + '/' + saleId);
-          await saleRef.set({
-            id: saleId,
-            userId: user.uid,
-            userEmail: user.email,
-            service: service.name,
-            amount: finalPrice,
-            commission: commission,
-            transactionId: transactionId,
-            timestamp: Date.now()
-          });
-          
-          console.log(`₹${commission} commission added to reseller ${resellerId}`);
-        }
-        
-        // RESPONSE WITHOUT COMMISSION DETAILS
-        res.json({
-          success: true,
-          id: transactionId,
-          number: phoneNumber,
-          country: service.country,
-          service: service.name,
-          price: finalPrice, // Only final price sent
-          expiresIn: 900,
-          newBalance: newBalance,
-          message: 'Number purchased successfully'
-          // NO basePrice, commission details sent
-        });
-      } else {
-        res.json({ success: false, error: 'Invalid response format from provider' });
-      }
-    } else if (data.includes('NO_NUMBERS')) {
-      res.json({ 
-        success: false, 
-        error: 'No numbers available for this service. Please try another country.' 
-      });
-    } else if (data.includes('NO_BALANCE')) {
-      res.json({ 
-        success: false, 
-        error: 'Provider balance low. Please try again later.' 
-      });
-    } else {
-      res.json({ success: false, error: data });
-    }
   } catch (error) {
-    console.error('Get number error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Service temporarily unavailable. Please try again.' 
-    });
+    console.error('Reseller register error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create reseller account' });
   }
 });
 
-app.get('/api/getOtp', async (req, res) => {
+// 2. Get Reseller Info (For Modal)
+app.get('/api/reseller/info', async (req, res) => {
   try {
-    const { api_key, id } = req.query;
     const authHeader = req.headers.authorization;
     
-    let user = null;
-    
-    if (api_key) {
-      user = await getUserByApiKey(api_key);
-    } else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.replace('Bearer ', '');
-      user = await getUserByToken(token);
-    }
-    
-    if (!user) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ success: false, error: 'Authentication required' });
     }
     
-    if (!id) {
-      return res.status(400).json({ success: false, error: 'Transaction ID required' });
-    }
-    
-    const activeRef = admin.database().ref('activeTransactions/' + user.uid);
-    const activeSnapshot = await activeRef.once('value');
-    const activeTransaction = activeSnapshot.val();
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
     
-    if (!activeTransaction || activeTransaction.id !== id) {
-      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    const timeElapsed = Date.now() - activeTransaction.startTime;
-    if (timeElapsed > 15 * 60 * 1000) {
-      await admin.database().ref('activeTransactions/' + user.uid).remove();
-      
-      const historyRef = admin.database().ref('userHistory/' + user.uid);
-      const historySnapshot = await historyRef.orderByChild('transactionId').equalTo(id).once('value');
-      
-      if (historySnapshot.exists()) {
-        const key = Object.keys(historySnapshot.val())[0];
-        await historyRef.child(key).update({
-          status: 'expired',
-          cancelledAt: Date.now()
-        });
-      }
-      
+    if (!user.resellerId) {
       return res.json({
         success: false,
-        error: 'Time expired. Number auto-cancelled.'
+        message: 'You are not a reseller'
       });
     }
     
-    const url = `https://firexotp.com/stubs/handler_api.php?action=getStatus&api_key=${API_KEY}&id=${id}`;
-    const response = await axios.get(url, { timeout: 5000 });
-    const data = response.data;
-    
-    const otpMatch = data.match(/\b\d{6}\b/);
-    let otpCode = null;
+    const reseller = await getReseller(user.resellerId);
+    const referredCount = await getReferredUsersCount(user.resellerId);
     
-    if (otpMatch) {
-      otpCode = otpMatch[0];
-      
-      const historyRef = admin.database().ref('userHistory/' + user.uid);
-      const snapshot = await historyRef.orderByChild('transactionId').equalTo(id).once('value');
-      
-      if (snapshot.exists()) {
-        const key = Object.keys(snapshot.val())[0];
-        await historyRef.child(key).update({
-          status: 'success',
-          otp: otpCode,
-          completedAt: Date.now()
-        });
-      }
-      
-      await admin.database().ref('activeTransactions/' + user.uid).remove();
+    if (!reseller) {
+      return res.status(404).json({ success: false, error: 'Reseller not found' });
     }
     
+    // Get recent sales (last 7 days)
+    const salesRef = admin.database().ref('resellerSales/' + user.resellerId);
+    const salesSnapshot = await salesRef.orderByChild('timestamp').limitToLast(20).once('value');
+    const recentSales = salesSnapshot.val() || {};
+    
     res.json({
       success: true,
-      data: data,
-      otp: otpCode,
-      hasOtp: !!otpCode,
-      timeLeft: Math.max(0, (15 * 60 * 1000 - timeElapsed) / 1000)
+      reseller: {
+        ...reseller,
+        referredCount: referredCount
+      },
+      recentSales: recentSales,
+      stats: {
+        wallet: reseller.wallet || 0,
+        available: reseller.wallet || 0,
+        pendingCommission: roundMoney(reseller.pendingCommission || 0),
+        holdPeriodHours: COMMISSION_HOLD_HOURS,
+        totalSales: reseller.totalSales || 0,
+        totalCommission: reseller.totalCommission || 0,
+        totalReversed: reseller.totalReversed || 0,
+        referralCount: referredCount,
+        commissionPercent: reseller.commissionPercent || 15
+      }
     });
+    
   } catch (error) {
-    console.error('Get OTP error:', error);
-    res.status(500).json({ success: false, error: 'Failed to check OTP' });
+    console.error('Get reseller info error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get reseller info' });
   }
 });
 
-app.get('/api/cancelNumber', async (req, res) => {
+// 3. Update Reseller Branding
+app.post('/api/reseller/updateBranding', async (req, res) => {
   try {
-    const { api_key, id } = req.query;
     const authHeader = req.headers.authorization;
     
-    let user = null;
-    
-    if (api_key) {
-      user = await getUserByApiKey(api_key);
-    } else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.replace('Bearer ', '');
-      user = await getUserByToken(token);
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
     }
     
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
     if (!user) {
-      return res.status(401).json({ success: false, error: 'Authentication required' });
+      return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    if (!id) {
-      return res.status(400).json({ success: false, error: 'Transaction ID required' });
+    if (!user.resellerId) {
+      return res.status(403).json({ success: false, error: 'You are not a reseller' });
     }
     
-    const activeRef = admin.database().ref('activeTransactions/' + user.uid);
-    const activeSnapshot = await activeRef.once('value');
-    const activeTransaction = activeSnapshot.val();
+    const { customName, themeColor, welcomeMessage } = req.body;
     
-    if (!activeTransaction || activeTransaction.id !== id) {
-      return res.status(404).json({ success: false, error: 'Transaction not found' });
-    }
+    const updates = {
+      updatedAt: Date.now()
+    };
     
-    const url = `https://firexotp.com/stubs/handler_api.php?action=getStatus&api_key=${API_KEY}&id=${id}`;
-    const response = await axios.get(url, { timeout: 5000 });
-    const data = response.data;
+    if (customName) updates.customName = customName;
+    if (themeColor) updates.themeColor = themeColor;
+    if (welcomeMessage) updates.welcomeMessage = welcomeMessage;
     
-    const otpMatch = data.match(/\b\d{6}\b/);
+    await admin.database().ref('resellers/' + user.resellerId).update(updates);
     
-    if (otpMatch) {
-      return res.json({
-        success: false,
-        error: 'Cannot cancel. OTP already received.',
-        otp: otpMatch[0]
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Branding updated successfully',
+      updates: updates
+    });
     
-    const timeElapsed = Date.now() - activeTransaction.startTime;
-    const timeLeft = 15 * 60 * 1000 - timeElapsed;
+  } catch (error) {
+    console.error('Update branding error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update branding' });
+  }
+});
+
+// 4. Request Withdrawal
+app.post('/api/reseller/withdraw', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
     
-    if (timeLeft <= 0) {
-      await admin.database().ref('activeTransactions/' + user.uid).remove();
-      
-      const historyRef = admin.database().ref('userHistory/' + user.uid);
-      const snapshot = await historyRef.orderByChild('transactionId').equalTo(id).once('value');
-      
-      if (snapshot.exists()) {
-        const key = Object.keys(snapshot.val())[0];
-        await historyRef.child(key).update({
-          status: 'expired',
-          cancelledAt: Date.now()
-        });
-      }
-      
-      return res.json({
-        success: true,
-        message: 'Number expired and auto-cancelled',
-        refundAmount: 0
-      });
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
     }
     
-    const cancelUrl = `https://firexotp.com/stubs/handler_api.php?action=setStatus&api_key=${API_KEY}&id=${id}&status=8`;
-    await axios.get(cancelUrl, { timeout: 5000 });
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
     
-    const price = activeTransaction.price || 0;
-    let refundAmount = 0;
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    if (!user.resellerId) {
+      return res.status(403).json({ success: false, error: 'You are not a reseller' });
+    }
+    
+    const { paymentMethod, upiId } = req.body;
+    const amount = parseFloat(req.body.amount);
     
-    if (timeLeft > 0) {
-      refundAmount = price;
-      await refundBalance(user.uid, price, 'user_cancelled');
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ success: false, error: 'Invalid amount' });
     }
     
-    const historyRef = admin.database().ref('userHistory/' + user.uid);
-    const snapshot = await historyRef.orderByChild('transactionId').equalTo(id).once('value');
+    const reseller = await getReseller(user.resellerId);
     
-    if (snapshot.exists()) {
-      const key = Object.keys(snapshot.val())[0];
-      await historyRef.child(key).update({
-        status: 'cancelled',
-        cancelledAt: Date.now(),
-        refundAmount: refundAmount
+    // Only released commission in the wallet can be withdrawn; pendingCommission is still on hold
+    if (!reseller || (reseller.wallet || 0) < amount) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Insufficient available balance. Available: ₹${reseller?.wallet || 0}, on hold: ₹${roundMoney(reseller?.pendingCommission || 0)}` 
+      });
+    }
+    
+    // Minimum withdrawal ₹100
+    if (amount < 100) {
+      return res.status(400).json({ success: false, error: 'Minimum withdrawal is ₹100' });
+    }
+    
+    // Create withdrawal request
+    const withdrawalId = 'WD' + Date.now() + Math.random().toString(36).substring(2, 6).toUpperCase();
+    
+    // Deduct from reseller wallet (temporarily held)
+    let ledgerEntry;
+    try {
+      ledgerEntry = await moveWallet('resellers/' + user.resellerId, -amount, {
+        type: 'withdrawal',
+        counterAccount: HOUSE_PAYOUTS,
+        reference: withdrawalId
       });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({ success: false, error: 'Insufficient balance' });
+      }
+      throw error;
     }
     
-    await admin.database().ref('activeTransactions/' + user.uid).remove();
+    const withdrawalData = {
+      id: withdrawalId,
+      resellerId: user.resellerId,
+      resellerName: reseller.name,
+      amount: amount,
+      paymentMethod: paymentMethod || 'UPI',
+      upiId: upiId,
+      status: 'pending',
+      createdAt: Date.now(),
+      walletBefore: ledgerEntry.balanceBefore,
+      walletAfter: ledgerEntry.balanceAfter
+    };
+    
+    // Save withdrawal request
+    await admin.database().ref('withdrawals/' + withdrawalId).set(withdrawalData);
+    
+    // Add to withdrawal history
+    await admin.database().ref('resellerWithdrawals/' + user.resellerId + '/' + withdrawalId).set(withdrawalData);
     
     res.json({
       success: true,
-      message: 'Number cancelled successfully',
-      refundAmount: refundAmount,
-      timeLeft: Math.floor(timeLeft / 1000)
+      message: 'Withdrawal request submitted successfully',
+      withdrawalId: withdrawalId,
+      amount: amount,
+      status: 'pending',
+      estimatedTime: '24-48 hours'
     });
+    
   } catch (error) {
-    console.error('Cancel number error:', error);
-    res.status(500).json({ success: false, error: 'Failed to cancel number' });
+    console.error('Withdrawal error:', error);
+    res.status(500).json({ success: false, error: 'Failed to process withdrawal' });
   }
 });
 
-app.get('/api/getHistory', async (req, res) => {
+// 5. Get Reseller Prices (Public - For referred users) - COMMISSION HIDDEN
+app.get('/api/reseller/prices', async (req, res) => {
   try {
-    const { api_key } = req.query;
-    const authHeader = req.headers.authorization;
+    const { ref } = req.query;
+    
+    if (!ref) {
+      return res.status(400).json({ success: false, error: 'Referral code required' });
+    }
     
-    let user = null;
+    const reseller = await getReseller(ref);
     
-    if (api_key) {
-      user = await getUserByApiKey(api_key);
-    } else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.replace('Bearer ', '');
-      user = await getUserByToken(token);
+    if (!reseller) {
+      return res.status(404).json({ success: false, error: 'Invalid referral code' });
     }
     
-    if (!user) {
-      return res.status(401).json({ success: false, error: 'Authentication required' });
+    const commissionPercent = reseller.commissionPercent || 15;
+    const pricesWithCommission = {};
+    const services = await getActiveServices();
+    const serviceTypes = await getServiceTypes();
+    
+    Object.keys(services).forEach(key => {
+      const service = services[key];
+      const finalPrice = calculatePriceWithCommission(service.price, commissionPercent);
+      pricesWithCommission[key] = {
+        ...toPublicService(service, serviceTypes),
+        basePrice: service.price,
+        finalPrice: finalPrice, // Only final price sent
+        commissionPercent: commissionPercent
+        // COMMISSION FIELD REMOVED - Hide from user
+      };
+    });
+    
+    res.json({
+      success: true,
+      reseller: {
+        name: reseller.name,
+        customName: reseller.customName || reseller.name,
+        commissionPercent: commissionPercent
+      },
+      prices: pricesWithCommission
+      // MESSAGE REMOVED - Don't show commission info
+    });
+    
+  } catch (error) {
+    console.error('Get reseller prices error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get prices' });
+  }
+});
+
+// 6. Get Reseller Config (Public - For frontend branding)
+app.get('/api/reseller/config', async (req, res) => {
+  try {
+    const { ref, brand } = req.query;
+    
+    if (!ref) {
+      return res.json({
+        success: false,
+        isReseller: false,
+        message: 'No referral code'
+      });
     }
     
-    const historyRef = admin.database().ref('userHistory/' + user.uid);
-    const snapshot = await historyRef.orderByChild('timestamp').once('value');
-    const history = snapshot.val() || {};
+    const reseller = await getReseller(ref);
     
-    const activeRef = admin.database().ref('activeTransactions/' + user.uid);
-    const activeSnapshot = await activeRef.once('value');
-    const activeTransaction = activeSnapshot.val();
+    if (!reseller) {
+      return res.json({
+        success: false,
+        isReseller: false,
+        message: 'Invalid referral code'
+      });
+    }
     
-    const historyArray = Object.values(history).sort((a, b) => b.timestamp - a.timestamp);
+    // Check if branding is requested
+    const showBranding = brand === '1';
     
     res.json({
       success: true,
-      history: historyArray,
-      active: activeTransaction,
-      count: historyArray.length
+      isReseller: true,
+      showBranding: showBranding,
+      reseller: {
+        id: reseller.id,
+        name: reseller.name,
+        customName: reseller.customName || `${reseller.name}'s OTP Panel`,
+        themeColor: reseller.themeColor || '#00ff99',
+        welcomeMessage: reseller.welcomeMessage || 'Welcome to OTP Service',
+        commissionPercent: reseller.commissionPercent || 15
+      },
+      referralLink: `https://otpseller.vercel.app/?ref=${ref}`,
+      brandedLink: `https://otpseller.vercel.app/?ref=${ref}&brand=1`
     });
+    
   } catch (error) {
-    console.error('Get history error:', error);
-    res.status(500).json({ success: false, error: 'Failed to load history' });
+    console.error('Get reseller config error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load config' });
   }
 });
 
-app.get('/api/dashboard/user', async (req, res) => {
+// 7. Check if user can become reseller
+app.get('/api/reseller/canBecome', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -1250,35 +2886,27 @@ app.get('/api/dashboard/user', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    const activeRef = admin.database().ref('activeTransactions/' + user.uid);
-    const activeSnapshot = await activeRef.once('value');
-    const activeTransaction = activeSnapshot.val();
+    // Check conditions
+    const canBecome = !user.referredBy && !user.resellerId;
+    const reason = user.referredBy ? 'Referred users cannot become resellers' : 
+                   user.resellerId ? 'You are already a reseller' : 'Eligible';
     
     res.json({
       success: true,
-      user: {
-        uid: user.uid,
-        email: user.email,
-        name: user.name,
-        wallet: user.wallet || 0,
-        apiKey: user.apiKey,
-        apiRequests: user.apiRequests || 0,
-        apiSuccess: user.apiSuccess || 0,
-        apiFailed: user.apiFailed || 0,
-        totalSpent: user.totalSpent || 0,
-        joined: user.joined,
-        resellerId: user.resellerId,
-        referredBy: user.referredBy
-      },
-      active: activeTransaction
+      canBecome: canBecome,
+      reason: reason,
+      isReferred: !!user.referredBy,
+      isReseller: !!user.resellerId
     });
+    
   } catch (error) {
-    console.error('Dashboard user error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    console.error('Check reseller eligibility error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check eligibility' });
   }
 });
 
-app.post('/api/dashboard/generateApiKey', async (req, res) => {
+// 8. Get withdrawal history
+app.get('/api/reseller/withdrawals', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -1293,579 +2921,3924 @@ app.post('/api/dashboard/generateApiKey', async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
     
-    const newApiKey = 'sk_' + Math.random().toString(36).substring(2) + Math.random().toString(36).substring(2);
+    if (!user.resellerId) {
+      return res.status(403).json({ success: false, error: 'You are not a reseller' });
+    }
+    
+    const withdrawalsRef = admin.database().ref('resellerWithdrawals/' + user.resellerId);
+    const snapshot = await withdrawalsRef.orderByChild('createdAt').once('value');
+    const withdrawals = snapshot.val() || {};
+    
+    const withdrawalsArray = Object.values(withdrawals).sort((a, b) => b.createdAt - a.createdAt);
+    
+    res.json({
+      success: true,
+      withdrawals: withdrawalsArray,
+      count: withdrawalsArray.length
+    });
+    
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load withdrawals' });
+  }
+});
+
+// ========== PUBLIC API ENDPOINTS ==========
+app.get('/api/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    service: 'Happy OTP API',
+    version: '2.1'
+  });
+});
+
+// ========== STOCK AVAILABILITY ==========
+const STOCK_CACHE_TTL = 30 * 1000;
+let stockCache = null;
+let stockCacheTime = 0;
+
+// Upstream number count per catalog entry, summed over every failover source.
+// null means no upstream answered, so clients should not treat it as sold out.
+async function getStockLevels() {
+  if (stockCache && Date.now() - stockCacheTime < STOCK_CACHE_TTL) {
+    return stockCache;
+  }
+  
+  const services = await getActiveServices();
+  const serviceTypes = await getServiceTypes();
+  const priceTables = {};
+  const stock = {};
+  
+  for (const [key, service] of Object.entries(services)) {
+    let total = null;
+    
+    for (const source of getServiceSources(service)) {
+      const serviceCode = source.serviceCode || getProviderServiceCode(serviceTypes[service.service], source.provider);
+      const tableKey = source.provider + ':' + serviceCode;
+      
+      if (priceTables[tableKey] === undefined) {
+        try {
+          priceTables[tableKey] = await getProvider(source.provider).getPrices(serviceCode);
+        } catch (error) {
+          console.error(`Stock check failed for ${tableKey}:`, error.message);
+          priceTables[tableKey] = null;
+        }
+      }
+      
+      const info = extractPriceInfo(priceTables[tableKey], source.code, serviceCode);
+      if (info) total = (total || 0) + info.count;
+    }
+    
+    stock[key] = total;
+  }
+  
+  stockCache = stock;
+  stockCacheTime = Date.now();
+  return stock;
+}
+
+app.get('/api/services/availability', async (req, res) => {
+  try {
+    const stock = await getStockLevels();
+    const availability = {};
+    
+    Object.entries(stock).forEach(([key, count]) => {
+      availability[key] = { count: count, available: count === null ? null : count > 0 };
+    });
+    
+    res.json({
+      success: true,
+      availability: availability,
+      cachedFor: Math.round(STOCK_CACHE_TTL / 1000),
+      updatedAt: new Date(stockCacheTime).toISOString()
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load availability' });
+  }
+});
+
+app.get('/api/services', async (req, res) => {
+  try {
+    const { service: serviceFilter, country: countryFilter, withStock } = req.query;
+    const services = await getActiveServices();
+    const serviceTypes = await getServiceTypes();
+    const stock = withStock === '1' || withStock === 'true' ? await getStockLevels() : null;
+    const publicServices = {};
+    const availableCountries = {};
+    
+    Object.entries(services).forEach(([key, service]) => {
+      if (serviceFilter && service.service !== serviceFilter) return;
+      if (countryFilter && service.countryId !== toCountryId(countryFilter)) return;
+      
+      publicServices[key] = toPublicService(service, serviceTypes);
+      if (stock) publicServices[key].stock = stock[key] ?? null;
+      availableCountries[service.countryId] = { id: service.countryId, name: service.country, flag: service.flag };
+    });
+    
+    const availableServiceTypes = Object.entries(serviceTypes)
+      .filter(([, serviceType]) => serviceType.enabled !== false)
+      .sort(([, a], [, b]) => (a.order || 0) - (b.order || 0))
+      .map(([id, serviceType]) => ({ id, name: serviceType.name }));
+    
+    res.json({
+      success: true,
+      services: publicServices,
+      count: Object.keys(publicServices).length,
+      serviceTypes: availableServiceTypes,
+      countries: Object.values(availableCountries)
+    });
+  } catch (error) {
+    console.error('Get services error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load services' });
+  }
+});
+
+app.get('/api/getBalance', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req, res, 'read');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    res.json({
+      success: true,
+      balance: user.wallet || 0,
+      currency: 'INR',
+      user: user.email
+    });
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// ========== FIXED GET NUMBER WITH COMMISSION ==========
+// Check multiple sources for ref: the request, the user's saved referrer, then the referer header
+function getReferralCode(req, user, ref) {
+  let referralCode = ref || user.referredBy;
+  
+  if (!referralCode && req.headers.referer) {
+    try {
+      const refererUrl = new URL(req.headers.referer);
+      const refParam = refererUrl.searchParams.get('ref');
+      if (refParam) referralCode = refParam;
+    } catch (e) {
+      console.log('Error parsing referer URL:', e.message);
+    }
+  }
+  
+  return referralCode || null;
+}
+
+// Looks up a catalog entry and the price this user pays for it.
+// Returns { error } with a { statusCode, body } reply, or the resolved service and price.
+async function resolvePurchase(country, serviceId, referralCode) {
+  const reply = (statusCode, body) => ({ error: { statusCode, body } });
+  
+  const catalog = await getCatalog();
+  const entry = findCatalogEntry(catalog, country, serviceId);
+  if (!entry) {
+    return reply(400, { success: false, error: 'Invalid service' });
+  }
+  
+  const serviceKey = entry.key;
+  const service = entry.service;
+  
+  if (serviceId && service.service !== serviceId) {
+    return reply(400, { success: false, error: `${serviceKey} is not a ${serviceId} number` });
+  }
+  
+  const serviceTypes = await getServiceTypes();
+  const serviceType = serviceTypes[service.service];
+  
+  if (service.enabled === false || serviceType?.enabled === false) {
+    return reply(400, { success: false, error: 'This service is currently unavailable' });
+  }
+  
+  // ========== COMMISSION CALCULATION FIXED ==========
+  let finalPrice = service.price;
+  let commission = 0;
+  let resellerId = null;
+  
+  if (referralCode) {
+    const reseller = await getReseller(referralCode);
+    
+    if (reseller) {
+      finalPrice = calculatePriceWithCommission(service.price, reseller.commissionPercent || 15);
+      commission = finalPrice - service.price;
+      resellerId = referralCode;
+    }
+  }
+  
+  return { serviceKey, service, serviceType, finalPrice, commission, resellerId };
+}
+
+// Buys a number for an authenticated user and returns { statusCode, body } for the caller to send.
+// prepaidPrice: the caller (a bulk batch or a reservation) already took this amount from the wallet.
+// slotHeld: the caller already took an active number slot for this purchase and releases it on failure.
+async function purchaseNumber(user, { country, serviceId, referralCode, callbackUrl, prepaidPrice, batchId, reservationId, slotHeld }) {
+  const reply = (statusCode, body) => ({ statusCode, body });
+  
+  const resolved = await resolvePurchase(country, serviceId, referralCode);
+  if (resolved.error) return resolved.error;
+  
+  const { serviceKey, service, serviceType, finalPrice, commission, resellerId } = resolved;
+  
+  if (resellerId) {
+    console.log(`Commission Applied: Base ₹${service.price} + Commission ₹${commission} = Final ₹${finalPrice}`);
+    
+    // Save referral if not already saved
+    if (!user.referredBy) {
+      await admin.database().ref('users/' + user.uid + '/referredBy').set(resellerId);
+      console.log(`User ${user.uid} marked as referred by ${resellerId}`);
+    }
+  }
+  
+  const prepaid = prepaidPrice !== undefined;
+  
+  if (prepaid && prepaidPrice !== finalPrice) {
+    return reply(409, { success: false, error: `Price changed from ₹${prepaidPrice} to ₹${finalPrice}` });
+  }
+  
+  // Check balance with FINAL PRICE (including commission)
+  if (!prepaid && (user.wallet || 0) < finalPrice) {
+    return reply(402, { 
+      success: false, 
+      error: `Insufficient balance. Required: ₹${finalPrice}, Available: ₹${user.wallet || 0}` 
+    });
+  }
+  
+  // Per-user concurrency limit; the slot passes to the active transaction once the number is bought
+  if (!slotHeld) {
+    const slot = await reserveActiveSlots(user, 1);
+    if (!slot.taken) {
+      return reply(429, { 
+        success: false, 
+        error: `Active number limit reached (${slot.maxActive}). Wait for an OTP or cancel a number first.` 
+      });
+    }
+  }
+  
+  const releaseSlot = () => (slotHeld ? null : releaseActiveSlots(user.uid, 1));
+  
+  // Hourly purchase and daily spend caps
+  const quota = await takePurchaseQuota(user, finalPrice);
+  if (quota.error) {
+    await releaseSlot();
+    return quota.error;
+  }
+  
+  // Get number from the first upstream that has stock
+  let result;
+  try {
+    result = await acquireNumber(service, serviceType);
+  } catch (error) {
+    await releasePurchaseQuota(user, quota.taken);
+    await releaseSlot();
+    throw error;
+  }
+  
+  if (!result.success) {
+    await releasePurchaseQuota(user, quota.taken);
+    await releaseSlot();
+  }
+  
+  if (result.success) {
+    const transactionId = result.id;
+    const phoneNumber = result.number;
+    
+    // Deduct FINAL PRICE from user balance - a parallel purchase may have spent it meanwhile
+    let newBalance = null;
+    try {
+      if (!prepaid) newBalance = await deductBalance(user.uid, finalPrice, service, transactionId);
+    } catch (error) {
+      await getProvider(result.provider).setStatus(transactionId, 8).catch(cancelError => {
+        console.error(`Failed to release ${transactionId} after balance error:`, cancelError.message);
+      });
+      await releasePurchaseQuota(user, quota.taken);
+      await releaseSlot();
+      
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        return reply(402, { success: false, error: error.message });
+      }
+      throw error;
+    }
+    
+    // From here the wallet is charged and the number is ours, so a failure must not look like
+    // "nothing happened" to callers that would retry (idempotency keys)
+    try {
+      // Recorded first so a reservation worker that crashes from here is resumed, not bought again
+      if (reservationId) {
+        await reservationRef(reservationId).update({
+          acquired: { id: transactionId, number: phoneNumber, provider: result.provider }
+        });
+      }
+      
+      // Refunds find the sale through the transaction to take the commission back. A push key,
+      // since sales inside one batch can land in the same millisecond.
+      const saleId = commission > 0 && resellerId ? admin.database().ref('resellerSales/' + resellerId).push().key : null;
+      
+      // Save active transaction
+      const activeRef = admin.database().ref('activeTransactions/' + user.uid + '/' + transactionId);
+      await activeRef.set({
+        id: transactionId,
+        number: phoneNumber,
+        service: serviceKey,
+        serviceId: service.service,
+        provider: result.provider,
+        providerCode: result.providerCode,
+        price: finalPrice, // Save final price
+        basePrice: service.price,
+        commission: commission,
+        resellerId: resellerId,
+        saleId: saleId,
+        callbackUrl: callbackUrl || null,
+        batchId: batchId || null,
+        reservationId: reservationId || null,
+        startTime: Date.now(),
+        expiresAt: Date.now() + (15 * 60 * 1000)
+      });
+      
+      // Save to history
+      const historyRef = admin.database().ref('userHistory/' + user.uid).push();
+      await historyRef.set({
+        transactionId: transactionId,
+        number: phoneNumber,
+        service: service.name,
+        serviceKey: serviceKey,
+        serviceId: service.service,
+        country: service.country,
+        provider: result.provider,
+        providerCode: result.providerCode,
+        failedAttempts: result.attempts,
+        price: finalPrice, // Save final price
+        basePrice: service.price,
+        commission: commission,
+        resellerId: resellerId,
+        saleId: saleId,
+        callbackUrl: callbackUrl || null,
+        batchId: batchId || null,
+        reservationId: reservationId || null,
+        status: 'active',
+        timestamp: Date.now(),
+        expiresAt: Date.now() + (15 * 60 * 1000)
+      });
+      
+      // Update reseller stats if commission exists
+      if (saleId) {
+        await updateResellerStats(resellerId, finalPrice, commission, transactionId);
+        
+        // Record sale for reseller
+        const saleRef = admin.database().ref('resellerSales/' + resellerId + '/' + saleId);
+        await saleRef.set({
+          id: saleId,
+          userId: user.uid,
+          userEmail: user.email,
+          service: service.name,
+          amount: finalPrice,
+          commission: commission,
+          transactionId: transactionId,
+          status: 'completed',
+          holdStatus: 'pending',
+          timestamp: Date.now()
+        });
+        
+        console.log(`₹${commission} commission held for reseller ${resellerId}`);
+      }
+      
+      await emitWebhookEvent(user.uid, 'number.purchased', {
+        id: transactionId,
+        number: phoneNumber,
+        service: serviceKey,
+        country: service.country,
+        price: finalPrice,
+        expiresAt: Date.now() + (15 * 60 * 1000)
+      }, callbackUrl);
+      
+      // RESPONSE WITHOUT COMMISSION DETAILS
+      return reply(200, {
+        success: true,
+        id: transactionId,
+        number: phoneNumber,
+        country: service.country,
+        service: service.name,
+        price: finalPrice, // Only final price sent
+        expiresIn: 900,
+        newBalance: newBalance,
+        message: 'Number purchased successfully'
+        // NO basePrice, commission details sent
+      });
+    } catch (error) {
+      error.charged = { id: transactionId, number: phoneNumber, price: finalPrice };
+      throw error;
+    }
+  } else if (result.error === 'BAD_RESPONSE') {
+    return reply(200, { success: false, error: 'Invalid response format from provider' });
+  } else if (result.error === 'NO_NUMBERS') {
+    return reply(200, { 
+      success: false, 
+      code: 'NO_NUMBERS',
+      error: 'No numbers available for this service. Please try another country.' 
+    });
+  } else if (result.error === 'NO_BALANCE') {
+    return reply(200, { 
+      success: false, 
+      error: 'Provider balance low. Please try again later.' 
+    });
+  } else if (result.error === 'TIMEOUT') {
+    return reply(500, { 
+      success: false, 
+      error: 'Service temporarily unavailable. Please try again.' 
+    });
+  } else {
+    return reply(200, { success: false, error: result.raw });
+  }
+}
+
+// ========== IDEMPOTENCY KEYS ==========
+// Clients send "Idempotency-Key" (or idempotency_key) so a retried purchase returns the first result
+const IDEMPOTENCY_WINDOW = 24 * 60 * 60 * 1000;
+// A purchase still "processing" after this long is treated as crashed and can be retried
+const IDEMPOTENCY_LOCK_TTL = 2 * 60 * 1000;
+
+function getIdempotencyKey(req) {
+  const key = req.headers['idempotency-key'] || req.query.idempotency_key || req.body?.idempotency_key;
+  return key ? String(key).trim() : null;
+}
+
+// Client keys can contain characters Firebase paths reject, so records are stored under a hash
+function idempotencyRef(uid, key) {
+  const hash = crypto.createHash('sha256').update(uid + ':' + key).digest('hex');
+  return admin.database().ref('idempotencyKeys/' + hash);
+}
+
+// Returns { claimed: true } or { claimed: false, record } when the key is already taken
+async function claimIdempotencyKey(uid, key, fingerprint) {
+  let existing = null;
+  
+  const result = await idempotencyRef(uid, key).transaction(current => {
+    existing = null;
+    const now = Date.now();
+    
+    if (current && current.expiresAt > now) {
+      const stale = current.status === 'processing' && now - current.lockedAt > IDEMPOTENCY_LOCK_TTL;
+      if (!stale) {
+        existing = current;
+        return;
+      }
+    }
+    
+    return {
+      uid: uid,
+      key: key,
+      fingerprint: fingerprint,
+      status: 'processing',
+      lockedAt: now,
+      expiresAt: now + IDEMPOTENCY_WINDOW
+    };
+  });
+  
+  if (result.committed) return { claimed: true };
+  return { claimed: false, record: existing || result.snapshot.val() };
+}
+
+async function completeIdempotencyKey(uid, key, response) {
+  await idempotencyRef(uid, key).update({
+    status: 'completed',
+    response: response,
+    completedAt: Date.now()
+  });
+}
+
+// Nothing was bought, so let the client retry with the same key
+async function releaseIdempotencyKey(uid, key) {
+  await idempotencyRef(uid, key).remove();
+}
+
+async function pruneIdempotencyKeys() {
+  const snapshot = await admin.database().ref('idempotencyKeys')
+    .orderByChild('expiresAt')
+    .endAt(Date.now())
+    .once('value');
+  
+  const updates = {};
+  snapshot.forEach(child => {
+    updates[child.key] = null;
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    await admin.database().ref('idempotencyKeys').update(updates);
+  }
+  return Object.keys(updates).length;
+}
+
+// ========== RESERVATIONS ==========
+// getNumber?reserve=1 queues the order instead of failing when stock is out (or the price is above
+// max_price). max_price stays held from the wallet until a worker buys the number or the wait runs out.
+const RESERVATION_DEFAULT_WAIT = 10 * 60;
+const RESERVATION_MAX_WAIT = 60 * 60;
+// A worker still holding a reservation after this long is treated as crashed
+const RESERVATION_LOCK_TTL = 60 * 1000;
+
+function reservationRef(id) {
+  return admin.database().ref('reservations/' + id);
+}
+
+async function getReservation(uid, id) {
+  const snapshot = await reservationRef(id).once('value');
+  const reservation = snapshot.val();
+  return reservation && reservation.uid === uid ? reservation : null;
+}
+
+async function getWaitingReservations(uid) {
+  const snapshot = await admin.database().ref('reservations')
+    .orderByChild('uid')
+    .equalTo(uid)
+    .once('value');
+  
+  return Object.values(snapshot.val() || {}).filter(reservation => reservation.status === 'waiting');
+}
+
+// Takes a waiting reservation for the caller so the worker and a cancel never act on it at once
+async function claimReservation(id) {
+  const claim = await reservationRef(id).transaction(current => {
+    if (!current || current.status !== 'waiting') return;
+    if (current.processingAt && Date.now() - current.processingAt < RESERVATION_LOCK_TTL) return;
+    return { ...current, processingAt: Date.now() };
+  });
+  
+  return claim.committed ? claim.snapshot.val() : null;
+}
+
+// Tries to buy right away and queues the order only when there is no stock at an acceptable price
+async function purchaseOrReserve(user, { country, serviceId, referralCode, callbackUrl, maxPrice, maxWait }) {
+  const resolved = await resolvePurchase(country, serviceId, referralCode);
+  if (resolved.error) return resolved.error;
+  
+  const limit = maxPrice !== null ? maxPrice : resolved.finalPrice;
+  
+  if (resolved.finalPrice <= limit) {
+    const result = await purchaseNumber(user, { country, serviceId, referralCode, callbackUrl });
+    if (result.body.code !== 'NO_NUMBERS') return result;
+  }
+  
+  return createReservation(user, { resolved, serviceId, referralCode, callbackUrl, maxPrice: limit, maxWait });
+}
+
+async function createReservation(user, { resolved, serviceId, referralCode, callbackUrl, maxPrice, maxWait }) {
+  const reply = (statusCode, body) => ({ statusCode, body });
+  const { serviceKey, service } = resolved;
+  
+  // Queued orders hold an active number slot, which passes to the number once it is bought
+  const slot = await reserveActiveSlots(user, 1);
+  if (!slot.taken) {
+    return reply(429, { 
+      success: false, 
+      error: `Active number limit reached (${slot.maxActive}), queued orders included.` 
+    });
+  }
+  
+  const ref = admin.database().ref('reservations').push();
+  const reservationId = ref.key;
+  
+  let hold;
+  try {
+    hold = await moveWallet('users/' + user.uid, -maxPrice, {
+      type: 'reservation_hold',
+      counterAccount: HOUSE_SALES,
+      reason: `Reservation for ${service.name}`,
+      reference: reservationId
+    });
+  } catch (error) {
+    await releaseActiveSlots(user.uid, 1);
+    
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return reply(402, { success: false, error: error.message });
+    }
+    throw error;
+  }
+  
+  // The hold is taken; a failure from here on must not let the order be retried under the same key
+  try {
+    const now = Date.now();
+    const expiresAt = now + maxWait * 1000;
+    
+    const historyRef = admin.database().ref('userHistory/' + user.uid).push();
+    await historyRef.set({
+      reservationId: reservationId,
+      service: service.name,
+      serviceKey: serviceKey,
+      serviceId: service.service,
+      country: service.country,
+      price: maxPrice,
+      status: 'reserved',
+      timestamp: now,
+      expiresAt: expiresAt
+    });
+    
+    await ref.set({
+      id: reservationId,
+      uid: user.uid,
+      service: serviceKey,
+      serviceId: serviceId || null,
+      referralCode: referralCode || null,
+      callbackUrl: callbackUrl || null,
+      maxPrice: maxPrice,
+      held: maxPrice,
+      historyKey: historyRef.key,
+      status: 'waiting',
+      attempts: 0,
+      createdAt: now,
+      expiresAt: expiresAt
+    });
+  } catch (error) {
+    error.charged = { reservationId: reservationId, price: maxPrice };
+    throw error;
+  }
+  
+  return reply(202, {
+    success: true,
+    reserved: true,
+    id: reservationId,
+    reservationId: reservationId,
+    state: 'reserved',
+    country: service.country,
+    service: service.name,
+    maxPrice: maxPrice,
+    expiresIn: maxWait,
+    newBalance: hold.balanceAfter,
+    message: 'No number available right now. The order is queued and will be filled as soon as stock appears.'
+  });
+}
+
+async function fulfillReservation(reservation, purchase, price, attempts) {
+  const difference = roundMoney(reservation.held - price);
+  
+  if (difference > 0) {
+    await moveWallet('users/' + reservation.uid, difference, {
+      type: 'reservation_release',
+      counterAccount: HOUSE_SALES,
+      reason: 'Bought below max_price',
+      reference: reservation.id
+    });
+  }
+  
+  const increment = admin.database.ServerValue.increment;
+  await admin.database().ref('users/' + reservation.uid).update({
+    apiRequests: increment(1),
+    apiSuccess: increment(1),
+    totalSpent: increment(price)
+  });
+  
+  await reservationRef(reservation.id).update({
+    status: 'fulfilled',
+    transactionId: purchase.id,
+    number: purchase.number,
+    price: price,
+    attempts: attempts,
+    fulfilledAt: Date.now(),
+    processingAt: null
+  });
+  
+  // The purchase wrote its own history entry; lookups by transactionId must keep finding that one
+  await admin.database().ref('userHistory/' + reservation.uid + '/' + reservation.historyKey).update({
+    status: 'fulfilled',
+    fulfilledTransactionId: purchase.id,
+    number: purchase.number,
+    price: price
+  });
+}
+
+// Ends a claimed reservation without a number and gives the held amount and its slot back.
+// The reservation leaves 'waiting' with refundedAt in a transaction first, so a worker reclaiming
+// it after a crash cannot refund again. Returns the refund, or null if another call closed it.
+async function closeReservation(reservation, status) {
+  const refundAmount = reservation.held || 0;
+  
+  const result = await reservationRef(reservation.id).transaction(current => {
+    if (!current) return current === null ? null : undefined;
+    if (current.status !== 'waiting' || current.refundedAt) return;
+    return {
+      ...current,
+      status: status,
+      refundAmount: refundAmount,
+      refundedAt: Date.now(),
+      closedAt: Date.now(),
+      processingAt: null
+    };
+  });
+  
+  if (!result.committed || !result.snapshot.val()) return null;
+  
+  if (refundAmount > 0) {
+    await refundBalance(reservation.uid, refundAmount, 'reservation_' + status, reservation.id, reservation.callbackUrl);
+  }
+  await releaseActiveSlots(reservation.uid, 1);
+  
+  await admin.database().ref('userHistory/' + reservation.uid + '/' + reservation.historyKey).update({
+    status: status,
+    refundAmount: refundAmount
+  });
+  
+  return refundAmount;
+}
+
+// A worker that crashed after buying left the activation on the reservation. Finish with that number
+// if its purchase got recorded; otherwise nobody can use it, so cancel it upstream and buy again.
+async function resumeAcquiredReservation(reservation, attempts) {
+  const acquired = reservation.acquired;
+  const snapshot = await admin.database().ref('userHistory/' + reservation.uid)
+    .orderByChild('transactionId')
+    .equalTo(acquired.id)
+    .once('value');
+  const recorded = Object.values(snapshot.val() || {})[0] || await getActiveTransaction(reservation.uid, acquired.id);
+  
+  if (recorded) {
+    await fulfillReservation(reservation, acquired, recorded.price, attempts);
+    return true;
+  }
+  
+  await getProvider(acquired.provider).setStatus(acquired.id, 8).catch(error => {
+    console.error(`Failed to release ${acquired.id} left by reservation ${reservation.id}:`, error.message);
+  });
+  await reservationRef(reservation.id).update({ acquired: null });
+  return false;
+}
+
+// One worker pass over a reservation: 'fulfilled', 'expired', 'waiting', or null if someone else has it
+async function attemptReservation(id) {
+  const reservation = await claimReservation(id);
+  if (!reservation) return null;
+  
+  const attempts = (reservation.attempts || 0) + 1;
+  
+  if (reservation.acquired && await resumeAcquiredReservation(reservation, attempts)) {
+    return 'fulfilled';
+  }
+  
+  if (Date.now() >= reservation.expiresAt) {
+    const refundAmount = await closeReservation(reservation, 'expired');
+    return refundAmount === null ? null : 'expired';
+  }
+  
+  let lastError = null;
+  
+  try {
+    const user = await getUserByUid(reservation.uid);
+    const resolved = user ? await resolvePurchase(reservation.service, reservation.serviceId, reservation.referralCode) : null;
+    
+    if (!user) {
+      lastError = 'User not found';
+    } else if (resolved.error) {
+      lastError = resolved.error.body.error;
+    } else if (resolved.finalPrice > reservation.maxPrice) {
+      lastError = `Price ₹${resolved.finalPrice} is above max_price ₹${reservation.maxPrice}`;
+    } else {
+      const result = await purchaseNumber(user, {
+        country: reservation.service,
+        serviceId: reservation.serviceId,
+        referralCode: reservation.referralCode,
+        callbackUrl: reservation.callbackUrl,
+        prepaidPrice: resolved.finalPrice,
+        reservationId: reservation.id,
+        slotHeld: true
+      });
+      
+      if (result.body.success) {
+        await fulfillReservation(reservation, result.body, resolved.finalPrice, attempts);
+        return 'fulfilled';
+      }
+      lastError = result.body.error;
+    }
+  } catch (error) {
+    lastError = error.message;
+  }
+  
+  await reservationRef(id).update({
+    attempts: attempts,
+    lastAttemptAt: Date.now(),
+    lastError: lastError,
+    processingAt: null
+  });
+  return 'waiting';
+}
+
+// Oldest orders go first so earlier customers get scarce stock
+async function processReservations() {
+  const snapshot = await admin.database().ref('reservations')
+    .orderByChild('status')
+    .equalTo('waiting')
+    .once('value');
+  
+  const queue = Object.values(snapshot.val() || {}).sort((a, b) => a.createdAt - b.createdAt);
+  const summary = { checked: queue.length, fulfilled: 0, expired: 0, waiting: 0, errors: 0 };
+  
+  for (const reservation of queue) {
+    try {
+      const outcome = await attemptReservation(reservation.id);
+      if (outcome) summary[outcome]++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`Reservation ${reservation.id} failed:`, error);
+    }
+  }
+  
+  return summary;
+}
+
+// getOtp / otp/stream view of a reservation; once filled it reports the number it became
+async function getReservationOtpState(uid, reservation) {
+  if (reservation.status === 'fulfilled') {
+    const result = await checkOtp(uid, reservation.transactionId, true);
+    if (!result) return null;
+    
+    return {
+      state: result.state,
+      body: { ...result.body, reservationId: reservation.id, id: reservation.transactionId, number: reservation.number }
+    };
+  }
+  
+  if (reservation.status === 'waiting') {
+    return {
+      state: 'reserved',
+      body: {
+        success: true,
+        state: 'reserved',
+        reservationId: reservation.id,
+        otp: null,
+        hasOtp: false,
+        maxPrice: reservation.maxPrice,
+        attempts: reservation.attempts || 0,
+        lastError: reservation.lastError || null,
+        timeLeft: Math.max(0, (reservation.expiresAt - Date.now()) / 1000),
+        message: 'Waiting for a number to become available'
+      }
+    };
+  }
+  
+  const state = reservation.status === 'expired' ? 'expired' : 'cancelled';
+  
+  return {
+    state: state,
+    body: {
+      success: false,
+      state: state,
+      reservationId: reservation.id,
+      error: state === 'expired' ? 'No number became available before max_wait' : 'Reservation was cancelled',
+      refundAmount: reservation.refundAmount || 0
+    }
+  };
+}
+
+app.get('/api/getNumber', async (req, res) => {
+  let user = null;
+  let idempotencyKey = null;
+  
+  try {
+    const { country, service: serviceId, ref, callback_url: callbackUrl } = req.query;
+    const reserve = ['1', 'true'].includes(String(req.query.reserve));
+    
+    const auth = await authenticateRequest(req, res, 'purchase');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    user = auth.user;
+    
+    if (!country) {
+      return res.status(400).json({ success: false, error: 'Country parameter required' });
+    }
+    
+    const callbackUrlError = callbackUrl ? await checkWebhookUrl(callbackUrl, 'callback_url') : null;
+    if (callbackUrlError) {
+      return res.status(400).json({ success: false, error: callbackUrlError });
+    }
+    
+    const maxWait = req.query.max_wait !== undefined ? parseInt(req.query.max_wait) : RESERVATION_DEFAULT_WAIT;
+    const maxPrice = req.query.max_price !== undefined ? parseFloat(req.query.max_price) : null;
+    
+    if (reserve && (isNaN(maxWait) || maxWait < 60 || maxWait > RESERVATION_MAX_WAIT)) {
+      return res.status(400).json({ success: false, error: `max_wait must be between 60 and ${RESERVATION_MAX_WAIT} seconds` });
+    }
+    
+    if (reserve && maxPrice !== null && (isNaN(maxPrice) || maxPrice <= 0)) {
+      return res.status(400).json({ success: false, error: 'max_price must be a positive amount' });
+    }
+    
+    const referralCode = getReferralCode(req, user, ref);
+    
+    idempotencyKey = getIdempotencyKey(req);
+    
+    if (idempotencyKey) {
+      if (idempotencyKey.length > 255) {
+        return res.status(400).json({ success: false, error: 'Idempotency key must be at most 255 characters' });
+      }
+      
+      const fingerprint = `${country}|${serviceId || ''}` + (reserve ? `|reserve|${maxPrice}|${maxWait}` : '');
+      const claim = await claimIdempotencyKey(user.uid, idempotencyKey, fingerprint);
+      
+      if (!claim.claimed) {
+        const record = claim.record;
+        // The key belongs to the other request - never release it from here
+        idempotencyKey = null;
+        
+        if (record.fingerprint !== fingerprint) {
+          return res.status(422).json({ 
+            success: false, 
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            error: 'This idempotency key was already used for a different request' 
+          });
+        }
+        
+        if (record.status === 'processing') {
+          return res.status(409).json({ 
+            success: false, 
+            code: 'IDEMPOTENCY_IN_PROGRESS',
+            error: 'A request with this idempotency key is still in progress. Retry shortly.' 
+          });
+        }
+        
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response.statusCode).json(record.response.body);
+      }
+    }
+    
+    const result = reserve
+      ? await purchaseOrReserve(user, { country, serviceId, referralCode, callbackUrl, maxPrice, maxWait })
+      : await purchaseNumber(user, { country, serviceId, referralCode, callbackUrl });
+    
+    if (idempotencyKey) {
+      if (result.body.success) {
+        await completeIdempotencyKey(user.uid, idempotencyKey, result);
+      } else {
+        await releaseIdempotencyKey(user.uid, idempotencyKey);
+      }
+    }
+    
+    res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    console.error('Get number error:', error);
+    
+    // Money was taken before the failure: answer retries with this instead of buying again
+    const failure = error.charged ? {
+      statusCode: 500,
+      body: {
+        success: false,
+        code: 'PURCHASE_INCOMPLETE',
+        error: 'The purchase was charged but did not finish. Do not retry - contact support with these details.',
+        ...error.charged
+      }
+    } : null;
+    
+    if (user && idempotencyKey) {
+      const settle = failure
+        ? completeIdempotencyKey(user.uid, idempotencyKey, failure)
+        : releaseIdempotencyKey(user.uid, idempotencyKey);
+      
+      await settle.catch(settleError => {
+        console.error('Failed to settle idempotency key:', settleError.message);
+      });
+    }
+    
+    if (failure) {
+      return res.status(failure.statusCode).json(failure.body);
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      error: 'Service temporarily unavailable. Please try again.' 
+    });
+  }
+});
+
+// ========== OTP CHECKS ==========
+// Long-poll (getOtp?wait=) and the SSE stream re-check a number this often while holding the connection
+const OTP_WAIT_INTERVAL = 3000;
+// Keep in step with maxDuration for api/index.js in vercel.json. Waits reply this much earlier so the
+// last status check finishes before the platform cuts the function off with a 504.
+const FUNCTION_MAX_DURATION = (parseInt(process.env.FUNCTION_MAX_DURATION) || 60) * 1000;
+const FUNCTION_TIME_MARGIN = 10 * 1000;
+const OTP_MAX_WAIT = Math.floor((FUNCTION_MAX_DURATION - FUNCTION_TIME_MARGIN) / 1000);
+// EventSource reconnects by itself when a stream ends without an "end" event
+const OTP_STREAM_MAX_DURATION = Math.min(
+  (parseInt(process.env.OTP_STREAM_MAX_SECONDS) || 300) * 1000,
+  FUNCTION_MAX_DURATION - FUNCTION_TIME_MARGIN
+);
+
+// States in which a waiter keeps checking
+const OTP_OPEN_STATES = ['waiting', 'reserved'];
+
+// One status check of a number. Returns { state, body } with state 'waiting', 'otp_received',
+// 'expired' or 'cancelled' ('reserved' for a queued order), or null when the user has no such number.
+// Numbers that are no longer active are only looked up in history when includeClosed is set
+// (a waiter saw them open before).
+async function checkOtp(uid, id, includeClosed) {
+  const activeTransaction = await getActiveTransaction(uid, id);
+  
+  if (!activeTransaction) {
+    const reservation = await getReservation(uid, id);
+    if (reservation) return getReservationOtpState(uid, reservation);
+    
+    return includeClosed ? getClosedOtpState(uid, id) : null;
+  }
+  
+  const timeElapsed = Date.now() - activeTransaction.startTime;
+  if (timeElapsed > 15 * 60 * 1000) {
+    const expired = await expireTransaction(uid, activeTransaction);
+    
+    if (expired && expired.status === 'success') {
+      return {
+        state: 'otp_received',
+        body: {
+          success: true,
+          state: 'otp_received',
+          otp: expired.otp,
+          smsText: expired.smsText,
+          hasOtp: true,
+          timeLeft: 0
+        }
+      };
+    }
+    
+    return {
+      state: 'expired',
+      body: {
+        success: false,
+        state: 'expired',
+        error: 'Time expired. Number auto-cancelled.',
+        refundAmount: expired ? expired.refundAmount : 0
+      }
+    };
+  }
+  
+  const status = await getProvider(activeTransaction.provider).getStatus(id);
+  const data = status.raw;
+  
+  const sms = await readSms(activeTransaction, status);
+  let codes = getCodes(activeTransaction);
+  
+  if (sms) {
+    codes = appendCode(activeTransaction, sms);
+    
+    // The webhook poller or another request may be recording this SMS already
+    const claimed = await claimActiveTransaction(uid, id);
+    if (claimed) {
+      await recordReceivedSms(uid, claimed, sms);
+    }
+  }
+  
+  const state = sms ? 'otp_received' : 'waiting';
+  
+  return {
+    state: state,
+    body: {
+      success: true,
+      state: state,
+      data: data,
+      status: status.status,
+      otp: sms ? sms.otp : null,
+      smsText: sms ? sms.smsText : null,
+      hasOtp: !!sms,
+      codes: codes.map(entry => entry.code),
+      timeLeft: Math.max(0, (15 * 60 * 1000 - timeElapsed) / 1000)
+    }
+  };
+}
+
+// A number closed by another request (cancel, expiry sweep, webhook poller) while we waited
+async function getClosedOtpState(uid, id) {
+  const snapshot = await admin.database().ref('userHistory/' + uid)
+    .orderByChild('transactionId')
+    .equalTo(id)
+    .once('value');
+  
+  if (!snapshot.exists()) return null;
+  const entry = Object.values(snapshot.val())[0];
+  
+  if (entry.status === 'success') {
+    return {
+      state: 'otp_received',
+      body: {
+        success: true,
+        state: 'otp_received',
+        otp: entry.otp || null,
+        smsText: entry.smsText || null,
+        hasOtp: !!entry.otp,
+        codes: getCodes(entry).map(code => code.code),
+        timeLeft: 0
+      }
+    };
+  }
+  
+  const state = entry.status === 'expired' ? 'expired' : 'cancelled';
+  
+  return {
+    state: state,
+    body: {
+      success: false,
+      state: state,
+      error: state === 'expired' ? 'Time expired. Number auto-cancelled.' : 'Number was cancelled',
+      refundAmount: entry.refundAmount || 0
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+app.get('/api/getOtp', async (req, res) => {
+  const startedAt = Date.now();
+  
+  try {
+    const { id } = req.query;
+    
+    const auth = await authenticateRequest(req, res, 'read');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Transaction ID required' });
+    }
+    
+    let result = await checkOtp(user.uid, id, false);
+    
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    
+    // Long-poll: hold the request until the number changes state or the wait runs out
+    const wait = Math.min(Math.max(parseInt(req.query.wait) || 0, 0), OTP_MAX_WAIT);
+    const deadline = startedAt + wait * 1000;
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    
+    while (OTP_OPEN_STATES.includes(result.state) && !closed && Date.now() + OTP_WAIT_INTERVAL < deadline) {
+      await sleep(OTP_WAIT_INTERVAL);
+      result = await checkOtp(user.uid, id, true) || result;
+    }
+    
+    res.json(result.body);
+  } catch (error) {
+    console.error('Get OTP error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check OTP' });
+  }
+});
+
+// Server-Sent Events: "update" whenever the number's state or codes change, until it is closed
+app.get('/api/otp/stream', async (req, res) => {
+  const startedAt = Date.now();
+  
+  try {
+    const { id } = req.query;
+    
+    const auth = await authenticateRequest(req, res, 'read', { queryToken: true });
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Transaction ID required' });
+    }
+    
+    let result = await checkOtp(user.uid, id, true);
+    
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${OTP_WAIT_INTERVAL}\n\n`);
+    
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const deadline = startedAt + OTP_STREAM_MAX_DURATION;
+    let lastSent = null;
+    
+    while (!closed) {
+      const snapshot = JSON.stringify([result.state, result.body.codes, result.body.otp]);
+      if (snapshot !== lastSent) {
+        send('update', result.body);
+        lastSent = snapshot;
+      } else {
+        res.write(': keep-alive\n\n');
+      }
+      
+      if (!OTP_OPEN_STATES.includes(result.state) || Date.now() + OTP_WAIT_INTERVAL >= deadline) break;
+      
+      await sleep(OTP_WAIT_INTERVAL);
+      if (closed) break;
+      
+      try {
+        result = await checkOtp(user.uid, id, true) || result;
+      } catch (error) {
+        console.error(`OTP stream check failed for ${id}:`, error.message);
+      }
+    }
+    
+    if (!closed && !OTP_OPEN_STATES.includes(result.state)) {
+      send('end', { state: result.state });
+    }
+    res.end();
+  } catch (error) {
+    console.error('OTP stream error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: 'Failed to stream OTP' });
+  }
+});
+
+// Asks the provider for another SMS on a number that already received a code (setStatus=3)
+app.get('/api/requestNextSms', async (req, res) => {
+  try {
+    const { id } = req.query;
+    
+    const auth = await authenticateRequest(req, res, 'purchase');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Transaction ID required' });
+    }
+    
+    const activeTransaction = await getActiveTransaction(user.uid, id);
+    
+    if (activeTransaction) {
+      const codes = getCodes(activeTransaction);
+      if (codes.length > 0) {
+        return res.json({
+          success: true,
+          message: 'Already waiting for the next SMS',
+          codes: codes.map(entry => entry.code),
+          timeLeft: Math.max(0, Math.floor((activeTransaction.expiresAt - Date.now()) / 1000))
+        });
+      }
+      return res.status(400).json({ success: false, error: 'No SMS received yet. Wait for the first code.' });
+    }
+    
+    const historyRef = admin.database().ref('userHistory/' + user.uid);
+    const snapshot = await historyRef.orderByChild('transactionId').equalTo(id).once('value');
+    
+    if (!snapshot.exists()) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    
+    const historyKey = Object.keys(snapshot.val())[0];
+    const entry = snapshot.val()[historyKey];
+    
+    if (entry.status !== 'success') {
+      return res.status(400).json({ success: false, error: 'Only numbers that received an SMS can get another one' });
+    }
+    
+    const expiresAt = entry.expiresAt || entry.timestamp + (15 * 60 * 1000);
+    if (expiresAt <= Date.now()) {
+      return res.status(400).json({ success: false, error: 'Number has expired. Buy a new number.' });
+    }
+    
+    // The number becomes active again, so it needs a slot like a new purchase
+    const slot = await reserveActiveSlots(user, 1);
+    if (!slot.taken) {
+      return res.status(429).json({ 
+        success: false, 
+        error: `Active number limit reached (${slot.maxActive}). Wait for an OTP or cancel a number first.` 
+      });
+    }
+    
+    // Older history entries predate per-code tracking
+    const codes = entry.codes ? getCodes(entry) : (entry.otp ? [{ code: entry.otp, text: entry.smsText || null, receivedAt: entry.completedAt || Date.now() }] : []);
+    
+    // The purchase record again (saleId, batchId, reservationId included), minus the history-only fields
+    const { transactionId, status, timestamp, otp, smsText, completedAt, nextSmsRequestedAt, serviceKey, failedAttempts, ...purchase } = entry;
+    
+    // Re-created already claimed, so a parallel call finds it and never asks the provider twice
+    const activeRef = admin.database().ref('activeTransactions/' + user.uid + '/' + id);
+    const created = await activeRef.transaction(current => {
+      if (current) return;
+      return {
+        ...purchase,
+        id: id,
+        service: serviceKey || entry.service,
+        provider: entry.provider || DEFAULT_PROVIDER,
+        codes: codes,
+        startTime: timestamp,
+        expiresAt: expiresAt,
+        closingAt: Date.now()
+      };
+    });
+    
+    if (!created.committed) {
+      await releaseActiveSlots(user.uid, 1);
+      return res.status(409).json({ success: false, error: 'Another SMS was already requested for this number' });
+    }
+    
+    let reply;
+    try {
+      reply = await getProvider(entry.provider || DEFAULT_PROVIDER).setStatus(id, 3);
+    } catch (error) {
+      await removeActiveTransaction(user.uid, id);
+      throw error;
+    }
+    
+    if (!reply.startsWith('ACCESS_RETRY_GET')) {
+      await removeActiveTransaction(user.uid, id);
+      return res.status(400).json({ success: false, error: 'Provider refused another SMS', data: reply });
+    }
+    
+    await activeRef.update({ closingAt: null });
+    
+    await historyRef.child(historyKey).update({
+      status: 'active',
+      codes: codes,
+      nextSmsRequestedAt: Date.now()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Waiting for the next SMS',
+      codes: codes.map(code => code.code),
+      timeLeft: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000))
+    });
+  } catch (error) {
+    console.error('Request next SMS error:', error);
+    res.status(500).json({ success: false, error: 'Failed to request another SMS' });
+  }
+});
+
+// Cancels (or closes, once a code arrived) one active number and refunds it.
+// Returns { statusCode, body } like purchaseNumber.
+async function cancelActiveNumber(uid, activeTransaction) {
+  const reply = (statusCode, body) => ({ statusCode, body });
+  const id = activeTransaction.id;
+  
+  const provider = getProvider(activeTransaction.provider);
+  const status = await provider.getStatus(id);
+  const sms = await readSms(activeTransaction, status);
+  
+  if (sms) {
+    return reply(200, {
+      success: false,
+      error: 'Cannot cancel. OTP already received.',
+      otp: sms.otp,
+      smsText: sms.smsText
+    });
+  }
+  
+  // Waiting for a next SMS: close the number, the first code was already delivered
+  if (getCodes(activeTransaction).length > 0) {
+    const claimed = await claimActiveTransaction(uid, id);
+    if (!claimed) {
+      return reply(409, { success: false, error: 'Number is already being closed' });
+    }
+    
+    await provider.setStatus(id, 6);
+    
+    await updateHistoryEntry(uid, id, {
+      status: 'success',
+      completedAt: Date.now()
+    });
+    await removeActiveTransaction(uid, id);
+    
+    await emitWebhookEvent(uid, 'number.cancelled', {
+      id: id,
+      number: claimed.number,
+      service: claimed.service,
+      refundAmount: 0
+    }, claimed.callbackUrl);
+    
+    return reply(200, {
+      success: true,
+      message: 'Number closed. No refund after an SMS was received.',
+      refundAmount: 0
+    });
+  }
+  
+  const timeElapsed = Date.now() - activeTransaction.startTime;
+  const timeLeft = 15 * 60 * 1000 - timeElapsed;
+  
+  if (timeLeft <= 0) {
+    const expired = await expireTransaction(uid, activeTransaction);
+    
+    return reply(200, {
+      success: true,
+      message: 'Number expired and auto-cancelled',
+      refundAmount: expired ? expired.refundAmount : 0
+    });
+  }
+  
+  const claimed = await claimActiveTransaction(uid, id);
+  if (!claimed) {
+    return reply(409, { success: false, error: 'Number is already being closed' });
+  }
+  
+  const cancelReply = await provider.setStatus(id, 8);
+  
+  // Refused upstream (EARLY_CANCEL_DENIED when a late SMS just arrived): no refund for a delivered code
+  if (cancelReply !== 'ACCESS_CANCEL') {
+    const lateSms = await readSms(claimed, await provider.getStatus(id));
+    
+    if (lateSms) {
+      await recordReceivedSms(uid, claimed, lateSms);
+      return reply(200, {
+        success: false,
+        error: 'Cannot cancel. OTP already received.',
+        otp: lateSms.otp,
+        smsText: lateSms.smsText
+      });
+    }
+    
+    await admin.database().ref('activeTransactions/' + uid + '/' + id).update({ closingAt: null });
+    return reply(400, { success: false, error: 'Provider refused the cancel. Try again shortly.', data: cancelReply });
+  }
+  
+  const refundAmount = claimed.price || 0;
+  await refundActiveTransaction(uid, claimed, 'user_cancelled');
+  
+  await updateHistoryEntry(uid, id, {
+    status: 'cancelled',
+    cancelledAt: Date.now(),
+    refundAmount: refundAmount
+  });
+  
+  await removeActiveTransaction(uid, id);
+  
+  await emitWebhookEvent(uid, 'number.cancelled', {
+    id: id,
+    number: claimed.number,
+    service: claimed.service,
+    refundAmount: refundAmount
+  }, claimed.callbackUrl);
+  
+  return reply(200, {
+    success: true,
+    message: 'Number cancelled successfully',
+    refundAmount: refundAmount,
+    timeLeft: Math.floor(timeLeft / 1000)
+  });
+}
+
+// Cancelling a queued order refunds the hold; once filled it cancels the number it became
+async function cancelReservation(uid, reservation) {
+  const reply = (statusCode, body) => ({ statusCode, body });
+  
+  if (reservation.status === 'fulfilled') {
+    const activeTransaction = await getActiveTransaction(uid, reservation.transactionId);
+    if (!activeTransaction) {
+      return reply(400, { success: false, error: `Reservation was filled with ${reservation.transactionId}, which is already closed` });
+    }
+    return cancelActiveNumber(uid, activeTransaction);
+  }
+  
+  if (reservation.status !== 'waiting') {
+    return reply(400, { success: false, error: `Reservation already ${reservation.status}` });
+  }
+  
+  const claimed = await claimReservation(reservation.id);
+  if (!claimed) {
+    return reply(409, { success: false, error: 'Reservation is being filled right now. Check getOtp and retry.' });
+  }
+  
+  const refundAmount = await closeReservation(claimed, 'cancelled');
+  if (refundAmount === null) {
+    return reply(409, { success: false, error: 'Reservation is already closed' });
+  }
+  
+  return reply(200, {
+    success: true,
+    reservationId: reservation.id,
+    refundAmount: refundAmount,
+    message: `Reservation cancelled. ₹${refundAmount} refunded.`
+  });
+}
+
+app.get('/api/cancelNumber', async (req, res) => {
+  try {
+    const { id } = req.query;
+    
+    const auth = await authenticateRequest(req, res, 'cancel');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Transaction ID required' });
+    }
+    
+    const activeTransaction = await getActiveTransaction(user.uid, id);
+    
+    if (!activeTransaction) {
+      const reservation = await getReservation(user.uid, id);
+      
+      if (!reservation) {
+        return res.status(404).json({ success: false, error: 'Transaction not found' });
+      }
+      
+      const result = await cancelReservation(user.uid, reservation);
+      return res.status(result.statusCode).json(result.body);
+    }
+    
+    const result = await cancelActiveNumber(user.uid, activeTransaction);
+    res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    console.error('Cancel number error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel number' });
+  }
+});
+
+// ========== DISPUTES ==========
+// A number can turn out unusable only after the OTP arrived (already registered, banned, ...).
+// The customer reports it here and an admin decides on a refund in /api/admin/resolveDispute.
+const DISPUTE_REASONS = ['already_registered', 'banned', 'wrong_otp', 'not_working', 'other'];
+const DISPUTE_WINDOW = 24 * 60 * 60 * 1000;
+
+async function findHistoryEntry(uid, transactionId) {
+  const snapshot = await admin.database().ref('userHistory/' + uid)
+    .orderByChild('transactionId')
+    .equalTo(transactionId)
+    .once('value');
+  
+  if (!snapshot.exists()) return null;
+  const key = Object.keys(snapshot.val())[0];
+  return { key, entry: snapshot.val()[key] };
+}
+
+// Tells the upstream the number is bad where its protocol has a way to; never fails the report
+async function reportToProvider(providerName, transactionId) {
+  try {
+    const provider = getProvider(providerName);
+    if (!provider.reportNumber) return { supported: false };
+    
+    const result = await provider.reportNumber(transactionId);
+    return { supported: true, accepted: result.accepted, raw: result.raw };
+  } catch (error) {
+    console.error(`Provider report for ${transactionId} failed:`, error.message);
+    return { supported: true, accepted: false, error: error.message };
+  }
+}
+
+app.get('/api/reportNumber', async (req, res) => {
+  try {
+    const { id, reason } = req.query;
+    const details = req.query.details ? String(req.query.details).trim() : '';
+    
+    const auth = await authenticateRequest(req, res, 'cancel');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Transaction ID required' });
+    }
+    
+    if (!DISPUTE_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, error: `reason must be one of: ${DISPUTE_REASONS.join(', ')}` });
+    }
+    
+    if (details.length > 500) {
+      return res.status(400).json({ success: false, error: 'details must be at most 500 characters' });
+    }
+    
+    const found = await findHistoryEntry(user.uid, id);
+    
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    
+    const entry = found.entry;
+    const charged = roundMoney((entry.price || 0) - (entry.refundAmount || 0));
+    
+    if (charged <= 0) {
+      return res.status(400).json({ success: false, error: 'This number was already refunded' });
+    }
+    
+    if (Date.now() - entry.timestamp > DISPUTE_WINDOW) {
+      return res.status(400).json({ success: false, error: 'Numbers can only be reported within 24 hours of purchase' });
+    }
+    
+    // Before an SMS arrives the customer can cancel for a full refund instead. A number reopened for
+    // a next SMS is live upstream, and reporting it would cancel it there under the customer.
+    const activeTransaction = await getActiveTransaction(user.uid, id);
+    if (activeTransaction && getCodes(activeTransaction).length === 0) {
+      return res.status(400).json({ success: false, error: 'No SMS received yet. Cancel the number for a full refund instead.' });
+    }
+    if (activeTransaction) {
+      return res.status(400).json({ success: false, error: 'Number is still waiting for another SMS. Cancel it first, then report it.' });
+    }
+    
+    const disputeRef = admin.database().ref('disputes').push();
+    const disputeId = disputeRef.key;
+    const claimRef = admin.database().ref('userHistory/' + user.uid + '/' + found.key + '/disputeId');
+    const sale = { ...entry, transactionId: id };
+    
+    // One dispute per number, even when the report is sent twice at once
+    const claim = await claimRef.transaction(current => current ? undefined : disputeId);
+    
+    if (!claim.committed) {
+      return res.status(409).json({ success: false, error: 'This number was already reported' });
+    }
+    
+    let providerReport;
+    try {
+      // Holds the reseller's commission until the dispute is decided
+      await setSaleDisputeStatus(sale, 'open');
+      
+      providerReport = await reportToProvider(entry.provider, id);
+      
+      await disputeRef.set({
+        id: disputeId,
+        uid: user.uid,
+        userEmail: user.email || null,
+        transactionId: id,
+        historyKey: found.key,
+        number: entry.number,
+        service: entry.serviceKey || entry.service,
+        provider: entry.provider || null,
+        price: entry.price || 0,
+        charged: charged,
+        commission: entry.commission || 0,
+        resellerId: entry.resellerId || null,
+        saleId: entry.saleId || null,
+        otp: entry.otp || null,
+        reason: reason,
+        details: details || null,
+        providerReport: providerReport,
+        status: 'open',
+        createdAt: Date.now()
+      });
+      
+      await admin.database().ref('userHistory/' + user.uid + '/' + found.key).update({
+        disputeStatus: 'open'
+      });
+    } catch (error) {
+      // Free the number for another report instead of leaving it claimed by a dispute that was never saved
+      await Promise.all([
+        claimRef.transaction(current => (current === disputeId || current === null ? null : undefined)),
+        disputeRef.remove(),
+        setSaleDisputeStatus(sale, null)
+      ]).catch(rollbackError => {
+        console.error(`Failed to roll back dispute ${disputeId}:`, rollbackError.message);
+      });
+      throw error;
+    }
+    
+    res.json({
+      success: true,
+      disputeId: disputeId,
+      status: 'open',
+      providerReported: !!providerReport.accepted,
+      message: 'Report received. We will review it and refund you if the number was unusable.'
+    });
+  } catch (error) {
+    console.error('Report number error:', error);
+    res.status(500).json({ success: false, error: 'Failed to report number' });
+  }
+});
+
+// ========== BULK PURCHASES ==========
+// Most numbers one /api/getNumbers call may buy
+const BULK_MAX_QUANTITY = 50;
+
+// Accepts { country, service, quantity } or items: [{ country, service, quantity }, ...] (JSON string or body array)
+function parseBulkItems(params) {
+  let items = params.items;
+  
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (e) {
+      return { error: 'items must be a JSON list of { country, service, quantity }' };
+    }
+  }
+  
+  if (!items) {
+    items = [{ country: params.country, service: params.service, quantity: params.quantity }];
+  }
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'items must be a non-empty list' };
+  }
+  
+  const parsed = [];
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    
+    if (!item.country) {
+      return { error: 'Every item needs a country (service code)' };
+    }
+    if (isNaN(quantity) || quantity < 1) {
+      return { error: `Invalid quantity for ${item.country}` };
+    }
+    
+    parsed.push({ country: String(item.country), serviceId: item.service || null, quantity: quantity });
+  }
+  
+  const total = parsed.reduce((sum, item) => sum + item.quantity, 0);
+  if (total > BULK_MAX_QUANTITY) {
+    return { error: `At most ${BULK_MAX_QUANTITY} numbers per batch` };
+  }
+  
+  return { items: parsed, total: total };
+}
+
+async function getBatch(uid, batchId) {
+  const snapshot = await admin.database().ref('numberBatches/' + uid + '/' + batchId).once('value');
+  return snapshot.val();
+}
+
+function toPublicBatch(batch) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    requested: batch.requested,
+    filled: batch.filled || 0,
+    charged: batch.charged || 0,
+    refunded: batch.refunded || 0,
+    items: Object.values(batch.items || {}),
+    failures: Object.values(batch.failures || {}),
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt || null
+  };
+}
+
+async function handleGetNumbers(req, res) {
+  try {
+    const params = { ...req.query, ...(req.body || {}) };
+    const { ref, callback_url: callbackUrl } = params;
+    
+    const auth = await authenticateRequest(req, res, 'purchase');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    const request = parseBulkItems(params);
+    if (request.error) {
+      return res.status(400).json({ success: false, error: request.error });
+    }
+    
+    const callbackUrlError = callbackUrl ? await checkWebhookUrl(callbackUrl, 'callback_url') : null;
+    if (callbackUrlError) {
+      return res.status(400).json({ success: false, error: callbackUrlError });
+    }
+    
+    const referralCode = getReferralCode(req, user, ref);
+    
+    // Price every item up front so the whole batch is checked against the wallet once
+    const items = [];
+    for (const item of request.items) {
+      const resolved = await resolvePurchase(item.country, item.serviceId, referralCode);
+      if (resolved.error) {
+        return res.status(resolved.error.statusCode).json({ ...resolved.error.body, item: item.country });
+      }
+      items.push({ ...item, ...resolved });
+    }
+    
+    const totalPrice = roundMoney(items.reduce((sum, item) => sum + item.finalPrice * item.quantity, 0));
+    
+    if ((user.wallet || 0) < totalPrice) {
+      return res.status(402).json({ 
+        success: false, 
+        error: `Insufficient balance. Required: ₹${totalPrice}, Available: ₹${user.wallet || 0}` 
+      });
+    }
+    
+    // Slots for the whole batch are taken at once; the unused ones are given back below
+    const slots = await reserveActiveSlots(user, request.total);
+    if (!slots.taken) {
+      return res.status(429).json({ 
+        success: false, 
+        error: `Active number limit is ${slots.maxActive} and ${slots.inUse} are in use. Ask support to raise it for bulk orders.` 
+      });
+    }
+    
+    const batchRef = admin.database().ref('numberBatches/' + user.uid).push();
+    const batchId = batchRef.key;
+    
+    // Take the whole amount now; whatever cannot be filled is refunded below
+    try {
+      await moveWallet('users/' + user.uid, -totalPrice, {
+        type: 'bulk_purchase',
+        counterAccount: HOUSE_SALES,
+        reason: `Bulk purchase of ${request.total} numbers`,
+        reference: batchId
+      });
+    } catch (error) {
+      await releaseActiveSlots(user.uid, request.total);
+      
+      if (error.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(402).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+    
+    await batchRef.set({
+      id: batchId,
+      status: 'processing',
+      requested: request.total,
+      held: totalPrice,
+      callbackUrl: callbackUrl || null,
+      items: items.map(item => ({ service: item.serviceKey, price: item.finalPrice, quantity: item.quantity, filled: 0 })),
+      createdAt: Date.now()
+    });
+    
+    const numbers = [];
+    const failures = [];
+    const filledCounts = items.map(() => 0);
+    let stopBatch = false;
+    let unfilledAmount = 0;
+    let filledAmount = 0;
+    let newBalance = null;
+    let status = 'failed';
+    
+    try {
+      for (const [index, item] of items.entries()) {
+        while (filledCounts[index] < item.quantity && !stopBatch) {
+          let result;
+          try {
+            result = await purchaseNumber(user, {
+              country: item.serviceKey,
+              serviceId: item.serviceId,
+              referralCode: referralCode,
+              callbackUrl: callbackUrl,
+              prepaidPrice: item.finalPrice,
+              batchId: batchId,
+              slotHeld: true
+            });
+          } catch (error) {
+            // Charged and recorded as active before it failed: it is the customer's number, not unfilled
+            if (error.charged) {
+              numbers.push({
+                id: error.charged.id,
+                number: error.charged.number,
+                service: item.serviceKey,
+                price: item.finalPrice
+              });
+              filledCounts[index]++;
+            }
+            
+            failures.push({ service: item.serviceKey, error: 'Purchase failed', unfilled: item.quantity - filledCounts[index] });
+            throw error;
+          }
+          
+          if (!result.body.success) {
+            failures.push({ service: item.serviceKey, error: result.body.error, unfilled: item.quantity - filledCounts[index] });
+            // A stock-out usually lasts, so stop this item; a 429 (purchase or spend limit) stops the whole batch
+            if (result.statusCode === 429) stopBatch = true;
+            break;
+          }
+          
+          numbers.push({
+            id: result.body.id,
+            number: result.body.number,
+            service: item.serviceKey,
+            price: item.finalPrice
+          });
+          filledCounts[index]++;
+        }
+        
+        if (stopBatch && filledCounts[index] === 0 && !failures.some(failure => failure.service === item.serviceKey)) {
+          failures.push({ service: item.serviceKey, error: 'Batch stopped', unfilled: item.quantity });
+        }
+      }
+    } finally {
+      // Also runs when a purchase throws halfway, so the unfilled part is never kept
+      unfilledAmount = roundMoney(items.reduce((sum, item, index) => sum + item.finalPrice * (item.quantity - filledCounts[index]), 0));
+      filledAmount = roundMoney(totalPrice - unfilledAmount);
+      
+      if (unfilledAmount > 0) {
+        newBalance = await refundBalance(user.uid, unfilledAmount, 'bulk_unfilled', batchId, callbackUrl);
+      }
+      await releaseActiveSlots(user.uid, request.total - numbers.length);
+      
+      if (numbers.length > 0) {
+        const increment = admin.database.ServerValue.increment;
+        await admin.database().ref('users/' + user.uid).update({
+          apiRequests: increment(numbers.length),
+          apiSuccess: increment(numbers.length),
+          totalSpent: increment(filledAmount)
+        });
+      }
+      
+      status = numbers.length === request.total ? 'completed' : (numbers.length > 0 ? 'partial' : 'failed');
+      
+      await batchRef.update({
+        status: status,
+        filled: numbers.length,
+        charged: filledAmount,
+        refunded: unfilledAmount,
+        items: items.map((item, index) => ({
+          service: item.serviceKey,
+          price: item.finalPrice,
+          quantity: item.quantity,
+          filled: filledCounts[index]
+        })),
+        numbers: Object.fromEntries(numbers.map(number => [number.id, number])),
+        failures: failures,
+        completedAt: Date.now()
+      });
+    }
+    
+    if (newBalance === null) {
+      const walletSnapshot = await admin.database().ref('users/' + user.uid + '/wallet').once('value');
+      newBalance = walletSnapshot.val() || 0;
+    }
+    
+    res.json({
+      success: numbers.length > 0,
+      batchId: batchId,
+      status: status,
+      requested: request.total,
+      filled: numbers.length,
+      charged: filledAmount,
+      refunded: unfilledAmount,
+      newBalance: newBalance,
+      numbers: numbers,
+      failures: failures,
+      expiresIn: 900
+    });
+  } catch (error) {
+    console.error('Get numbers error:', error);
+    res.status(500).json({ success: false, error: 'Bulk purchase failed. Check getBatch for numbers already bought.' });
+  }
+}
+
+app.get('/api/getNumbers', handleGetNumbers);
+app.post('/api/getNumbers', handleGetNumbers);
+
+// Current state of every number in a batch; numbers still open are checked upstream
+app.get('/api/getBatch', async (req, res) => {
+  try {
+    const { id } = req.query;
+    
+    const auth = await authenticateRequest(req, res, 'read');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Batch ID required' });
+    }
+    
+    const batch = await getBatch(user.uid, id);
+    
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    
+    const numbers = await Promise.all(Object.values(batch.numbers || {}).map(async number => {
+      try {
+        const result = await checkOtp(user.uid, number.id, true);
+        if (!result) return { ...number, state: 'unknown' };
+        
+        return {
+          ...number,
+          state: result.state,
+          otp: result.body.otp || null,
+          smsText: result.body.smsText || null,
+          refundAmount: result.body.refundAmount || 0,
+          timeLeft: result.body.timeLeft || 0
+        };
+      } catch (error) {
+        console.error(`Batch ${id} check failed for ${number.id}:`, error.message);
+        return { ...number, state: 'unknown' };
+      }
+    }));
+    
+    const summary = {};
+    numbers.forEach(number => {
+      summary[number.state] = (summary[number.state] || 0) + 1;
+    });
+    
+    res.json({
+      success: true,
+      batch: toPublicBatch(batch),
+      numbers: numbers,
+      summary: summary
+    });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load batch' });
+  }
+});
+
+// Cancels every number of a batch that has not received an OTP yet
+app.get('/api/cancelBatch', async (req, res) => {
+  try {
+    const { id } = req.query;
+    
+    const auth = await authenticateRequest(req, res, 'cancel');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Batch ID required' });
+    }
+    
+    const batch = await getBatch(user.uid, id);
+    
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    
+    const activeTransactions = await getActiveTransactions(user.uid);
+    const results = [];
+    let refundAmount = 0;
+    
+    for (const number of Object.values(batch.numbers || {})) {
+      const activeTransaction = activeTransactions[number.id];
+      if (!activeTransaction) continue;
+      
+      try {
+        const result = await cancelActiveNumber(user.uid, activeTransaction);
+        refundAmount += result.body.refundAmount || 0;
+        results.push({
+          id: number.id,
+          cancelled: result.body.success,
+          refundAmount: result.body.refundAmount || 0,
+          otp: result.body.otp || null,
+          error: result.body.success ? null : result.body.error
+        });
+      } catch (error) {
+        console.error(`Batch ${id} cancel failed for ${number.id}:`, error.message);
+        results.push({ id: number.id, cancelled: false, error: 'Failed to cancel number' });
+      }
+    }
+    
+    refundAmount = roundMoney(refundAmount);
+    
+    await admin.database().ref('numberBatches/' + user.uid + '/' + id).update({
+      status: 'cancelled',
+      cancelledAt: Date.now(),
+      cancelRefunded: refundAmount
+    });
+    
+    res.json({
+      success: true,
+      batchId: id,
+      cancelled: results.filter(result => result.cancelled).length,
+      refundAmount: refundAmount,
+      results: results
+    });
+  } catch (error) {
+    console.error('Cancel batch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel batch' });
+  }
+});
+
+app.get('/api/getHistory', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req, res, 'read');
+    if (auth.error) {
+      return res.status(auth.error.statusCode).json(auth.error.body);
+    }
+    
+    const user = auth.user;
+    
+    const historyRef = admin.database().ref('userHistory/' + user.uid);
+    const snapshot = await historyRef.orderByChild('timestamp').once('value');
+    const history = snapshot.val() || {};
+    
+    const activeNumbers = sortActiveTransactions(await getActiveTransactions(user.uid));
+    
+    const historyArray = Object.values(history).sort((a, b) => b.timestamp - a.timestamp);
+    const reservations = await getWaitingReservations(user.uid);
+    
+    res.json({
+      success: true,
+      history: historyArray,
+      active: activeNumbers[0] || null,
+      activeNumbers: activeNumbers,
+      reservations: reservations.map(reservation => ({
+        id: reservation.id,
+        service: reservation.service,
+        maxPrice: reservation.maxPrice,
+        attempts: reservation.attempts || 0,
+        lastError: reservation.lastError || null,
+        createdAt: reservation.createdAt,
+        expiresAt: reservation.expiresAt
+      })),
+      count: historyArray.length
+    });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load history' });
+  }
+});
+
+app.get('/api/dashboard/user', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    const activeNumbers = sortActiveTransactions(await getActiveTransactions(user.uid));
+    
+    res.json({
+      success: true,
+      user: {
+        uid: user.uid,
+        email: user.email,
+        name: user.name,
+        wallet: user.wallet || 0,
+        apiKeyPrefix: user.apiKeyPrefix,
+        apiRequests: user.apiRequests || 0,
+        apiSuccess: user.apiSuccess || 0,
+        apiFailed: user.apiFailed || 0,
+        totalSpent: user.totalSpent || 0,
+        joined: user.joined,
+        resellerId: user.resellerId,
+        referredBy: user.referredBy,
+        maxActiveNumbers: user.maxActiveNumbers || MAX_ACTIVE_NUMBERS
+      },
+      active: activeNumbers[0] || null,
+      activeNumbers: activeNumbers
+    });
+  } catch (error) {
+    console.error('Dashboard user error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+app.post('/api/dashboard/generateApiKey', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    const issued = await issueApiKey(user.uid);
+    
+    res.json({
+      success: true,
+      apiKey: issued.key,
+      keyPrefix: issued.prefix,
+      message: 'New API key generated. Save it now - it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Generate API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate API key' });
+  }
+});
+
+// ========== WEBHOOK SETTINGS ==========
+function toPublicWebhookSettings(settings) {
+  return {
+    url: settings.url || null,
+    enabled: settings.enabled !== false && !!settings.url,
+    events: settings.events ? Object.values(settings.events) : WEBHOOK_EVENTS,
+    secret: settings.secret || null
+  };
+}
+
+app.get('/api/dashboard/webhook', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    const settings = await getWebhookSettings(user.uid);
+    
+    res.json({
+      success: true,
+      webhook: toPublicWebhookSettings(settings),
+      availableEvents: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Get webhook settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load webhook settings' });
+  }
+});
+
+app.post('/api/dashboard/webhook', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    const { url, enabled, events } = req.body;
+    
+    const urlError = url ? await checkWebhookUrl(url) : null;
+    if (urlError) {
+      return res.status(400).json({ success: false, error: urlError });
+    }
+    
+    if (events !== undefined && (!Array.isArray(events) || events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+      return res.status(400).json({ success: false, error: `Events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    
+    const updates = { updatedAt: Date.now() };
+    if (url !== undefined) updates.url = url || null;
+    if (enabled !== undefined) updates.enabled = enabled === true || enabled === 'true';
+    if (events !== undefined) updates.events = events;
+    
+    await admin.database().ref('users/' + user.uid + '/webhook').update(updates);
+    await getWebhookSecret(user.uid);
+    
+    res.json({
+      success: true,
+      message: 'Webhook settings saved',
+      webhook: toPublicWebhookSettings(await getWebhookSettings(user.uid))
+    });
+  } catch (error) {
+    console.error('Save webhook settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save webhook settings' });
+  }
+});
+
+app.post('/api/dashboard/webhook/rotateSecret', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    const secret = generateWebhookSecret();
+    await admin.database().ref('users/' + user.uid + '/webhook/secret').set(secret);
+    
+    res.json({
+      success: true,
+      secret: secret,
+      message: 'Webhook secret rotated. Update your signature check now.'
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate webhook secret' });
+  }
+});
+
+app.get('/api/dashboard/webhook/deliveries', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const snapshot = await admin.database().ref('webhookDeliveries')
+      .orderByChild('uid')
+      .equalTo(user.uid)
+      .once('value');
+    
+    const deliveries = Object.values(snapshot.val() || {})
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(({ sendingAt, ...delivery }) => delivery);
+    
+    res.json({
+      success: true,
+      deliveries: deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load webhook deliveries' });
+  }
+});
+
+// Sends a logged event again as a new delivery; the payload id stays the same so receivers can dedupe
+app.post('/api/dashboard/webhook/deliveries/:id/replay', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const user = await getUserByToken(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    const snapshot = await admin.database().ref('webhookDeliveries/' + req.params.id).once('value');
+    const original = snapshot.val();
+    
+    if (!original || original.uid !== user.uid) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    
+    // Only ever back to the endpoint the event was first sent to
+    const url = original.url;
+    const urlError = await checkWebhookUrl(url);
+    
+    if (urlError) {
+      return res.status(400).json({ success: false, error: urlError });
+    }
+    
+    const deliveryRef = admin.database().ref('webhookDeliveries').push();
+    await deliveryRef.set({
+      id: deliveryRef.key,
+      uid: user.uid,
+      event: original.event,
+      url: url,
+      payload: original.payload,
+      replayOf: original.id,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: Date.now()
+    });
+    
+    const status = await attemptWebhookDelivery(deliveryRef.key);
+    const delivery = (await deliveryRef.once('value')).val();
+    
+    res.json({
+      success: true,
+      status: status,
+      delivery: delivery
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ success: false, error: 'Failed to replay webhook delivery' });
+  }
+});
+
+app.post('/api/register', async (req, res) => {
+  try {
+    const { email, password, name, ref } = req.body;
+    
+    if (!email || !password || !name) {
+      return res.status(400).json({ success: false, error: 'Email, password and name required' });
+    }
+    
+    const userRecord = await admin.auth().createUser({
+      email: email,
+      password: password,
+      displayName: name
+    });
+    
+    const userData = {
+      name: name,
+      email: email,
+      wallet: 0,
+      joined: Date.now(),
+      apiRequests: 0,
+      apiSuccess: 0,
+      apiFailed: 0,
+      totalSpent: 0
+    };
+    
+    // Add referral if provided
+    if (ref) {
+      const reseller = await getReseller(ref);
+      if (reseller) {
+        userData.referredBy = ref;
+        
+        // Update reseller referral count
+        const resellerRef = admin.database().ref('resellers/' + ref);
+        await resellerRef.update({
+          referralCount: (reseller.referralCount || 0) + 1
+        });
+      }
+    }
+    
+    await admin.database().ref('users/' + userRecord.uid).set(userData);
+    const issued = await issueApiKey(userRecord.uid);
+    
+    res.json({
+      success: true,
+      message: 'User registered successfully',
+      userId: userRecord.uid,
+      apiKey: issued.key,
+      keyPrefix: issued.prefix
+    });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ========== ADMIN API ENDPOINTS ==========
+async function adminAuthMiddleware(req, res, next) {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    const user = await getUserByToken(token);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+    
+    if (user.uid !== ADMIN_UID) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+    
+    req.adminUser = user;
+    next();
+  } catch (error) {
+    console.error('Admin auth error:', error);
+    res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+}
+
+app.get('/api/admin/getUsers', adminAuthMiddleware, async (req, res) => {
+  try {
+    const usersRef = admin.database().ref('users');
+    const snapshot = await usersRef.once('value');
+    const users = snapshot.val() || {};
+    
+    const userList = Object.entries(users).map(([uid, data]) => ({
+      uid,
+      email: data.email || 'No email',
+      name: data.name || 'User',
+      wallet: data.wallet || 0,
+      joined: data.joined || Date.now(),
+      apiKey: (data.apiKeyPrefix || data.apiKey) ? `${data.apiKeyPrefix || displayPrefix(data.apiKey)}...` : 'No key',
+      apiRequests: data.apiRequests || 0,
+      totalSpent: data.totalSpent || 0,
+      apiSuccess: data.apiSuccess || 0,
+      apiFailed: data.apiFailed || 0,
+      resellerId: data.resellerId || null,
+      referredBy: data.referredBy || null
+    }));
+    
+    res.json({
+      success: true,
+      users: userList,
+      count: userList.length
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load users' });
+  }
+});
+
+app.post('/api/admin/addBalance', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { userId, amount, reason } = req.body;
+    
+    if (!userId || !amount) {
+      return res.status(400).json({ success: false, error: 'User ID and amount required' });
+    }
+    
+    if (isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ success: false, error: 'Invalid amount' });
+    }
+    
+    const entry = await moveWallet('users/' + userId, parseFloat(amount), {
+      type: 'admin_credit',
+      counterAccount: HOUSE_ADJUSTMENTS,
+      reason: reason || 'Admin added',
+      createdBy: req.adminUser.uid
+    });
+    const newBalance = entry.balanceAfter;
+    
+    const transactionRef = admin.database().ref('transactions/' + userId).push();
+    await transactionRef.set({
+      type: 'bonus',
+      amount: amount,
+      reason: reason || 'Admin added',
+      addedBy: req.adminUser.uid,
+      timestamp: Date.now()
+    });
+    
+    res.json({
+      success: true,
+      message: `₹${amount} added to user`,
+      newBalance: newBalance
+    });
+  } catch (error) {
+    console.error('Admin add balance error:', error);
+    res.status(500).json({ success: false, error: 'Failed to add balance' });
+  }
+});
+
+app.post('/api/admin/removeUser', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID required' });
+    }
+    
+    if (userId === ADMIN_UID) {
+      return res.status(403).json({ success: false, error: 'Cannot remove main admin' });
+    }
+    
+    const keyHashSnapshot = await admin.database().ref('users/' + userId + '/apiKeyHash').once('value');
+    
+    const deletePromises = [
+      admin.database().ref('users/' + userId).remove(),
+      admin.database().ref('activeTransactions/' + userId).remove(),
+      admin.database().ref('userHistory/' + userId).remove(),
+      admin.database().ref('apiKeyLogs/' + userId).remove(),
+      admin.database().ref('transactions/' + userId).remove(),
+    ];
+    
+    if (keyHashSnapshot.val()) {
+      deletePromises.push(admin.database().ref('apiKeyIndex/' + keyHashSnapshot.val()).remove());
+    }
+    
+    const signingKeySnapshot = await admin.database().ref('users/' + userId + '/signingKeyId').once('value');
+    if (signingKeySnapshot.val()) {
+      deletePromises.push(admin.database().ref('signingKeyIndex/' + signingKeySnapshot.val()).remove());
+    }
+    
+    const namedKeysSnapshot = await admin.database().ref('apiKeys/' + userId).once('value');
+    Object.values(namedKeysSnapshot.val() || {}).forEach(key => {
+      deletePromises.push(admin.database().ref('apiKeyIndex/' + key.hash).remove());
+      if (key.signingKeyId) {
+        deletePromises.push(admin.database().ref('signingKeyIndex/' + key.signingKeyId).remove());
+      }
+    });
+    deletePromises.push(admin.database().ref('apiKeys/' + userId).remove());
+    deletePromises.push(admin.database().ref('usageCounters/' + userId).remove());
+    
+    await Promise.all(deletePromises);
+    
+    try {
+      await admin.auth().deleteUser(userId);
+    } catch (authError) {
+      console.log('Auth delete optional:', authError.message);
+    }
+    
+    res.json({
+      success: true,
+      message: 'User removed successfully'
+    });
+  } catch (error) {
+    console.error('Admin remove user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove user' });
+  }
+});
+
+app.post('/api/admin/resetPassword', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID required' });
+    }
+    
+    const userRef = admin.database().ref('users/' + userId + '/email');
+    const snapshot = await userRef.once('value');
+    const email = snapshot.val();
+    
+    if (!email) {
+      return res.status(404).json({ success: false, error: 'User email not found' });
+    }
+    
+    const actionCodeSettings = {
+      url: `${req.headers.origin || 'https://your-domain.com'}/login`,
+      handleCodeInApp: false
+    };
+    
+    try {
+      const resetLink = await admin.auth().generatePasswordResetLink(email, actionCodeSettings);
+      
+      res.json({
+        success: true,
+        message: 'Password reset link generated',
+        resetLink: resetLink,
+        email: email
+      });
+    } catch (firebaseError) {
+      console.error('Firebase reset link error:', firebaseError);
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Failed to generate reset link. Make sure Firebase Auth API is enabled.' 
+      });
+    }
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset password' });
+  }
+});
+
+app.post('/api/admin/regenerateApiKey', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID required' });
+    }
+    
+    const userSnapshot = await admin.database().ref('users/' + userId).once('value');
+    if (!userSnapshot.exists()) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const issued = await issueApiKey(userId);
+    
+    const logRef = admin.database().ref('apiKeyLogs/' + userId).push();
+    await logRef.set({
+      changedBy: req.adminUser.uid,
+      oldKey: issued.previousPrefix ? issued.previousPrefix + '...' : 'No key',
+      newKey: issued.prefix + '...',
+      timestamp: Date.now(),
+      changeType: 'admin_forced'
+    });
+    
+    res.json({
+      success: true,
+      message: 'API key regenerated. Pass it to the user now - it will not be shown again.',
+      newApiKey: issued.key,
+      keyPrefix: issued.prefix
+    });
+  } catch (error) {
+    console.error('Regenerate API key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to regenerate API key' });
+  }
+});
+
+// Hashes every plain-text key left from before apiKeyIndex (keys also migrate on first use)
+app.post('/api/admin/migrateApiKeys', adminAuthMiddleware, async (req, res) => {
+  try {
+    const snapshot = await admin.database().ref('users').orderByChild('apiKey').startAt('sk_').once('value');
+    const legacy = Object.entries(snapshot.val() || {}).filter(([uid, data]) => looksLikeApiKey(data.apiKey));
+    
+    for (const [uid, data] of legacy) {
+      await migrateLegacyApiKey(uid, data.apiKey);
+    }
+    
+    res.json({
+      success: true,
+      migrated: legacy.length
+    });
+  } catch (error) {
+    console.error('Migrate API keys error:', error);
+    res.status(500).json({ success: false, error: 'Failed to migrate API keys' });
+  }
+});
+
+// Replaces the platform default limits for one user. Body: { userId, requestsPerMinute, purchasesPerHour, spendPerDay }
+// (empty fields fall back to the default). The user's own caps still apply below these.
+app.post('/api/admin/userLimits', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID required' });
+    }
+    
+    const user = await getUserByUid(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const parsed = parseLimits(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    
+    const overrides = Object.keys(parsed.limits).length > 0 ? parsed.limits : null;
+    await admin.database().ref('users/' + userId + '/limitOverrides').set(overrides);
+    
+    console.log(`Admin ${req.adminUser.uid} set limits for ${userId}:`, overrides);
+    
+    res.json({
+      success: true,
+      limitOverrides: overrides,
+      effective: getAccountLimits({ ...user, limitOverrides: overrides })
+    });
+  } catch (error) {
+    console.error('Update user limits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update limits' });
+  }
+});
+
+app.get('/api/admin/user/:userId', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID required' });
+    }
+    
+    const userRef = admin.database().ref('users/' + userId);
+    const userSnapshot = await userRef.once('value');
+    const userData = userSnapshot.val();
+    
+    if (!userData) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const historyRef = admin.database().ref('userHistory/' + userId);
+    const historySnapshot = await historyRef.orderByChild('timestamp').limitToLast(20).once('value');
+    const history = historySnapshot.val() || {};
+    
+    const transactionsRef = admin.database().ref('transactions/' + userId);
+    const transactionsSnapshot = await transactionsRef.orderByChild('timestamp').limitToLast(10).once('value');
+    const transactions = transactionsSnapshot.val() || {};
+    
+    const apiKeyLogsRef = admin.database().ref('apiKeyLogs/' + userId);
+    const apiKeyLogsSnapshot = await apiKeyLogsRef.orderByChild('timestamp').limitToLast(5).once('value');
+    const apiKeyLogs = apiKeyLogsSnapshot.val() || {};
+    
+    // Key material stays server-side; the prefix identifies the key
+    const { apiKey, apiKeyHash, signingSecret, ...profile } = userData;
+    profile.effectiveLimits = getAccountLimits(userData);
+    
+    res.json({
+      success: true,
+      user: {
+        uid: userId,
+        ...profile
+      },
+      history: history,
+      transactions: transactions,
+      apiKeyLogs: apiKeyLogs
+    });
+    
+  } catch (error) {
+    console.error('Admin get user details error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load user details' });
+  }
+});
+
+app.get('/api/admin/stats', adminAuthMiddleware, async (req, res) => {
+  try {
+    const usersRef = admin.database().ref('users');
+    const snapshot = await usersRef.once('value');
+    const users = snapshot.val() || {};
+    
+    let totalUsers = 0;
+    let totalBalance = 0;
+    let totalRequests = 0;
+    let totalSpent = 0;
+    let activeUsers = 0;
+    
+    const userArray = Object.values(users);
+    totalUsers = userArray.length;
+    
+    userArray.forEach(user => {
+      totalBalance += user.wallet || 0;
+      totalRequests += user.apiRequests || 0;
+      totalSpent += user.totalSpent || 0;
+      
+      if (user.joined && (Date.now() - user.joined) < (7 * 24 * 60 * 60 * 1000)) {
+        activeUsers++;
+      }
+    });
+    
+    const activeTransactionsRef = admin.database().ref('activeTransactions');
+    const activeSnapshot = await activeTransactionsRef.once('value');
+    const activeTransactions = activeSnapshot.val() || {};
+    const activeNumbers = Object.values(activeTransactions)
+      .reduce((sum, userActive) => sum + Object.keys(normalizeActiveTransactions(userActive)).length, 0);
+    
+    // Get reseller stats
+    const resellersRef = admin.database().ref('resellers');
+    const resellersSnapshot = await resellersRef.once('value');
+    const resellers = resellersSnapshot.val() || {};
+    const totalResellers = Object.keys(resellers).length;
+    const totalCommission = Object.values(resellers).reduce((sum, r) => sum + (r.totalCommission || 0), 0);
+    
+    res.json({
+      success: true,
+      stats: {
+        totalUsers,
+        totalBalance,
+        totalRequests,
+        totalSpent,
+        activeUsers,
+        activeNumbers,
+        totalResellers,
+        totalCommission,
+        averageBalance: totalUsers > 0 ? Math.round(totalBalance / totalUsers) : 0,
+        averageSpent: totalUsers > 0 ? Math.round(totalSpent / totalUsers) : 0,
+        successRate: totalRequests > 0 ? Math.round((userArray.reduce((sum, user) => sum + (user.apiSuccess || 0), 0) / totalRequests) * 100) : 0
+      }
+    });
+    
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load stats' });
+  }
+});
+
+app.post('/api/admin/updateUser', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { userId, updates } = req.body;
+    
+    if (!userId || !updates) {
+      return res.status(400).json({ success: false, error: 'User ID and updates required' });
+    }
+    
+    if (userId === ADMIN_UID) {
+      return res.status(403).json({ success: false, error: 'Cannot update main admin' });
+    }
+    
+    const allowedUpdates = ['name', 'email', 'wallet', 'maxActiveNumbers'];
+    const validUpdates = {};
+    
+    Object.keys(updates).forEach(key => {
+      if (allowedUpdates.includes(key)) {
+        validUpdates[key] = updates[key];
+      }
+    });
+    
+    if (Object.keys(validUpdates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid updates provided' });
+    }
+    
+    if (validUpdates.maxActiveNumbers !== undefined) {
+      validUpdates.maxActiveNumbers = parseInt(validUpdates.maxActiveNumbers) || null;
+    }
+    
+    // Wallet edits go through the ledger like every other balance change
+    if (validUpdates.wallet !== undefined) {
+      const targetBalance = parseFloat(validUpdates.wallet);
+      if (isNaN(targetBalance) || targetBalance < 0) {
+        return res.status(400).json({ success: false, error: 'Invalid wallet balance' });
+      }
+      
+      await moveWallet('users/' + userId, 0, {
+        setTo: roundMoney(targetBalance),
+        type: 'admin_adjustment',
+        counterAccount: HOUSE_ADJUSTMENTS,
+        reason: 'Admin set balance',
+        createdBy: req.adminUser.uid
+      });
+      
+      validUpdates.wallet = roundMoney(targetBalance);
+    }
+    
+    const profileUpdates = { ...validUpdates };
+    delete profileUpdates.wallet;
+    if (Object.keys(profileUpdates).length > 0) {
+      await admin.database().ref('users/' + userId).update(profileUpdates);
+    }
+    
+    if (validUpdates.email) {
+      try {
+        await admin.auth().updateUser(userId, {
+          email: validUpdates.email
+        });
+      } catch (authError) {
+        console.error('Auth update error:', authError);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      updates: validUpdates
+    });
+    
+  } catch (error) {
+    console.error('Admin update user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update user' });
+  }
+});
+
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({ success: false, error: 'Email and password required' });
+    }
+    
+    try {
+      const userRecord = await admin.auth().getUserByEmail(email);
+      
+      if (userRecord.uid === ADMIN_UID) {
+        const customToken = await admin.auth().createCustomToken(userRecord.uid);
+        
+        res.json({
+          success: true,
+          message: 'Admin login successful',
+          userId: userRecord.uid,
+          customToken: customToken,
+          user: {
+            uid: userRecord.uid,
+            email: userRecord.email,
+            name: userRecord.displayName || 'Admin'
+          }
+        });
+      } else {
+        const adminRef = admin.database().ref('admins/' + userRecord.uid);
+        const snapshot = await adminRef.once('value');
+        
+        if (snapshot.exists() && snapshot.val() === true) {
+          const customToken = await admin.auth().createCustomToken(userRecord.uid);
+          
+          res.json({
+            success: true,
+            message: 'Admin login successful',
+            userId: userRecord.uid,
+            customToken: customToken,
+            user: {
+              uid: userRecord.uid,
+              email: userRecord.email,
+              name: userRecord.displayName || 'Admin'
+            }
+          });
+        } else {
+          res.status(403).json({ success: false, error: 'Admin access required' });
+        }
+      }
+    } catch (error) {
+      console.error('Admin login error:', error);
+      res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+    
+  } catch (error) {
+    console.error('Admin login endpoint error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+// ========== NEW: ADMIN RESELLER MANAGEMENT ==========
+app.get('/api/admin/resellers', adminAuthMiddleware, async (req, res) => {
+  try {
+    const resellersRef = admin.database().ref('resellers');
+    const snapshot = await resellersRef.once('value');
+    const resellers = snapshot.val() || {};
+    
+    const resellerList = await Promise.all(
+      Object.entries(resellers).map(async ([id, data]) => {
+        const referredCount = await getReferredUsersCount(id);
+        return {
+          id,
+          name: data.name,
+          email: data.email,
+          customName: data.customName,
+          commissionPercent: data.commissionPercent || 15,
+          wallet: data.wallet || 0,
+          pendingCommission: roundMoney(data.pendingCommission || 0),
+          totalSales: data.totalSales || 0,
+          totalCommission: data.totalCommission || 0,
+          referralCount: referredCount,
+          status: data.status || 'active',
+          createdAt: data.createdAt,
+          lastSale: data.lastSale
+        };
+      })
+    );
+    
+    res.json({
+      success: true,
+      resellers: resellerList,
+      count: resellerList.length
+    });
+    
+  } catch (error) {
+    console.error('Admin get resellers error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load resellers' });
+  }
+});
+
+app.post('/api/admin/reseller/approveWithdrawal', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { withdrawalId } = req.body;
+    
+    if (!withdrawalId) {
+      return res.status(400).json({ success: false, error: 'Withdrawal ID required' });
+    }
+    
+    const withdrawalRef = admin.database().ref('withdrawals/' + withdrawalId);
+    const snapshot = await withdrawalRef.once('value');
+    const withdrawal = snapshot.val();
+    
+    if (!withdrawal) {
+      return res.status(404).json({ success: false, error: 'Withdrawal not found' });
+    }
+    
+    // Update withdrawal status
+    await withdrawalRef.update({
+      status: 'completed',
+      completedAt: Date.now(),
+      approvedBy: req.adminUser.uid
+    });
+    
+    // Update reseller withdrawal history
+    await admin.database().ref('resellerWithdrawals/' + withdrawal.resellerId + '/' + withdrawalId).update({
+      status: 'completed',
+      completedAt: Date.now()
+    });
+    
+    // Send notification to reseller (you can add email/notification system here)
+    
+    res.json({
+      success: true,
+      message: 'Withdrawal approved successfully',
+      withdrawalId: withdrawalId
+    });
+    
+  } catch (error) {
+    console.error('Approve withdrawal error:', error);
+    res.status(500).json({ success: false, error: 'Failed to approve withdrawal' });
+  }
+});
+
+// ========== ADMIN SERVICE CATALOG ==========
+const editableServiceFields = ['service', 'code', 'name', 'country', 'countryId', 'flag', 'price', 'cost', 'autoPrice', 'provider', 'sources', 'otpPatterns', 'enabled', 'order'];
+
+function pickServiceFields(input) {
+  const fields = {};
+  
+  editableServiceFields.forEach(field => {
+    if (input[field] !== undefined) fields[field] = input[field];
+  });
+  
+  if (fields.price !== undefined) fields.price = parseFloat(fields.price);
+  if (fields.cost !== undefined && fields.cost !== null) fields.cost = parseFloat(fields.cost);
+  if (fields.order !== undefined) fields.order = parseInt(fields.order);
+  if (fields.enabled !== undefined) fields.enabled = fields.enabled === true || fields.enabled === 'true';
+  if (fields.autoPrice !== undefined) fields.autoPrice = fields.autoPrice === true || fields.autoPrice === 'true';
+  if (fields.countryId !== undefined) fields.countryId = toCountryId(fields.countryId);
+  if (fields.country !== undefined && fields.countryId === undefined) fields.countryId = toCountryId(fields.country);
+  
+  return fields;
+}
+
+function validateServiceFields(fields, serviceTypes) {
+  if (fields.service !== undefined && !serviceTypes[fields.service]) {
+    return `Unknown service type: ${fields.service}`;
+  }
+  if (fields.price !== undefined && (isNaN(fields.price) || fields.price <= 0)) {
+    return 'Invalid price';
+  }
+  if (fields.cost !== undefined && fields.cost !== null && (isNaN(fields.cost) || fields.cost < 0)) {
+    return 'Invalid provider cost';
+  }
+  if (fields.order !== undefined && isNaN(fields.order)) {
+    return 'Invalid display order';
+  }
+  if (fields.provider !== undefined && !providers[fields.provider]) {
+    return `Unknown provider: ${fields.provider}`;
+  }
+  if (fields.sources !== undefined) {
+    if (!Array.isArray(fields.sources) || fields.sources.some(source => !source.code || !providers[source.provider])) {
+      return 'Sources must be a list of { provider, code } with known providers';
+    }
+  }
+  if (fields.otpPatterns !== undefined) {
+    return validateOtpPatterns(fields.otpPatterns);
+  }
+  return null;
+}
+
+app.get('/api/admin/services', adminAuthMiddleware, async (req, res) => {
+  try {
+    invalidateCatalogCache();
+    const catalog = await getCatalog();
     
-    await admin.database().ref('users/' + user.uid + '/apiKey').set(newApiKey);
+    const serviceList = Object.entries(catalog)
+      .map(([key, service]) => ({ key, ...service }))
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
     
     res.json({
       success: true,
-      apiKey: newApiKey,
-      message: 'New API key generated'
+      services: serviceList,
+      count: serviceList.length
     });
   } catch (error) {
-    console.error('Generate API key error:', error);
-    res.status(500).json({ success: false, error: 'Failed to generate API key' });
+    console.error('Admin get services error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load services' });
   }
 });
 
-app.post('/api/register', async (req, res) => {
+app.post('/api/admin/createService', adminAuthMiddleware, async (req, res) => {
   try {
-    const { email, password, name, ref } = req.body;
+    const { key } = req.body;
+    const fields = pickServiceFields(req.body);
     
-    if (!email || !password || !name) {
-      return res.status(400).json({ success: false, error: 'Email, password and name required' });
+    if (!key || !/^[a-z0-9_]+$/.test(key)) {
+      return res.status(400).json({ success: false, error: 'Service key required (lowercase letters, digits and _)' });
     }
     
-    const userRecord = await admin.auth().createUser({
-      email: email,
-      password: password,
-      displayName: name
-    });
-    
-    const apiKey = 'sk_' + Math.random().toString(36).substring(2) + Math.random().toString(36).substring(2);
+    if (!fields.service || !fields.code || !fields.name || !fields.country || fields.price === undefined) {
+      return res.status(400).json({ success: false, error: 'Service type, code, name, country and price required' });
+    }
     
-    const userData = {
-      name: name,
-      email: email,
-      wallet: 0,
-      joined: Date.now(),
-      apiKey: apiKey,
-      apiRequests: 0,
-      apiSuccess: 0,
-      apiFailed: 0,
-      totalSpent: 0
-    };
+    const validationError = validateServiceFields(fields, await getServiceTypes());
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
     
-    // Add referral if provided
-    if (ref) {
-      const reseller = await getReseller(ref);
-      if (reseller) {
-        userData.referredBy = ref;
-        
-        // Update reseller referral count
-        const resellerRef = admin.database().ref('resellers/' + ref);
-        await resellerRef.update({
-          referralCount: (reseller.referralCount || 0) + 1
-        });
-      }
+    const catalog = await getCatalog();
+    if (catalog[key]) {
+      return res.status(400).json({ success: false, error: 'Service key already exists' });
     }
     
-    await admin.database().ref('users/' + userRecord.uid).set(userData);
+    const maxOrder = Object.values(catalog).reduce((max, service) => Math.max(max, service.order || 0), -1);
+    
+    const serviceData = {
+      flag: '🏳️',
+      provider: DEFAULT_PROVIDER,
+      cost: null,
+      enabled: true,
+      order: maxOrder + 1,
+      ...fields,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    
+    await admin.database().ref('catalog/' + key).set(serviceData);
+    invalidateCatalogCache();
     
     res.json({
       success: true,
-      message: 'User registered successfully',
-      userId: userRecord.uid,
-      apiKey: apiKey
+      message: 'Service created',
+      service: { key, ...serviceData }
     });
   } catch (error) {
-    console.error('Register error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Admin create service error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create service' });
   }
 });
 
-// ========== ADMIN API ENDPOINTS ==========
-async function adminAuthMiddleware(req, res, next) {
+app.post('/api/admin/updateService', adminAuthMiddleware, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const { key, updates } = req.body;
     
-    if (!token) {
-      return res.status(401).json({ success: false, error: 'Authentication required' });
+    if (!key || !updates) {
+      return res.status(400).json({ success: false, error: 'Service key and updates required' });
     }
     
-    const user = await getUserByToken(token);
-    if (!user) {
-      return res.status(401).json({ success: false, error: 'Invalid token' });
+    const fields = pickServiceFields(updates);
+    
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid updates provided' });
     }
     
-    if (user.uid !== ADMIN_UID) {
-      return res.status(403).json({ success: false, error: 'Admin access required' });
+    const validationError = validateServiceFields(fields, await getServiceTypes());
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
     
-    req.adminUser = user;
-    next();
-  } catch (error) {
-    console.error('Admin auth error:', error);
-    res.status(500).json({ success: false, error: 'Authentication failed' });
-  }
-}
-
-app.get('/api/admin/getUsers', adminAuthMiddleware, async (req, res) => {
-  try {
-    const usersRef = admin.database().ref('users');
-    const snapshot = await usersRef.once('value');
-    const users = snapshot.val() || {};
+    const catalog = await getCatalog();
+    if (!catalog[key]) {
+      return res.status(404).json({ success: false, error: 'Service not found' });
+    }
     
-    const userList = Object.entries(users).map(([uid, data]) => ({
-      uid,
-      email: data.email || 'No email',
-      name: data.name || 'User',
-      wallet: data.wallet || 0,
-      joined: data.joined || Date.now(),
-      apiKey: data.apiKey ? `${data.apiKey.substring(0, 10)}...` : 'No key',
-      apiRequests: data.apiRequests || 0,
-      totalSpent: data.totalSpent || 0,
-      apiSuccess: data.apiSuccess || 0,
-      apiFailed: data.apiFailed || 0,
-      resellerId: data.resellerId || null,
-      referredBy: data.referredBy || null
-    }));
+    fields.updatedAt = Date.now();
+    await admin.database().ref('catalog/' + key).update(fields);
+    invalidateCatalogCache();
+    
+    if ((fields.price !== undefined && fields.price !== catalog[key].price) ||
+        (fields.cost !== undefined && fields.cost !== (catalog[key].cost ?? null))) {
+      await recordPriceChange(key, catalog[key], {
+        price: fields.price !== undefined ? fields.price : catalog[key].price,
+        cost: fields.cost !== undefined ? fields.cost : catalog[key].cost
+      }, 'admin', req.adminUser.uid);
+    }
     
     res.json({
       success: true,
-      users: userList,
-      count: userList.length
+      message: 'Service updated',
+      updates: fields
     });
   } catch (error) {
-    console.error('Admin get users error:', error);
-    res.status(500).json({ success: false, error: 'Failed to load users' });
+    console.error('Admin update service error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update service' });
   }
 });
 
-app.post('/api/admin/addBalance', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/toggleService', adminAuthMiddleware, async (req, res) => {
   try {
-    const { userId, amount, reason } = req.body;
+    const { key, enabled } = req.body;
     
-    if (!userId || !amount) {
-      return res.status(400).json({ success: false, error: 'User ID and amount required' });
+    if (!key || enabled === undefined) {
+      return res.status(400).json({ success: false, error: 'Service key and enabled flag required' });
     }
     
-    if (isNaN(amount) || amount <= 0) {
-      return res.status(400).json({ success: false, error: 'Invalid amount' });
+    const catalog = await getCatalog();
+    if (!catalog[key]) {
+      return res.status(404).json({ success: false, error: 'Service not found' });
     }
     
-    const userRef = admin.database().ref('users/' + userId + '/wallet');
-    const currentBalance = await userRef.once('value');
-    const balance = currentBalance.val() || 0;
-    
-    const newBalance = balance + parseFloat(amount);
-    await userRef.set(newBalance);
+    const isEnabled = enabled === true || enabled === 'true';
     
-    const transactionRef = admin.database().ref('transactions/' + userId).push();
-    await transactionRef.set({
-      type: 'bonus',
-      amount: amount,
-      reason: reason || 'Admin added',
-      addedBy: req.adminUser.uid,
-      timestamp: Date.now()
+    await admin.database().ref('catalog/' + key).update({
+      enabled: isEnabled,
+      updatedAt: Date.now()
     });
+    invalidateCatalogCache();
     
     res.json({
       success: true,
-      message: `₹${amount} added to user`,
-      newBalance: newBalance
+      message: isEnabled ? 'Service enabled' : 'Service disabled',
+      key: key,
+      enabled: isEnabled
     });
   } catch (error) {
-    console.error('Admin add balance error:', error);
-    res.status(500).json({ success: false, error: 'Failed to add balance' });
+    console.error('Admin toggle service error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update service' });
   }
 });
 
-app.post('/api/admin/removeUser', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/reorderServices', adminAuthMiddleware, async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { order } = req.body;
     
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'User ID required' });
+    if (!Array.isArray(order) || order.length === 0) {
+      return res.status(400).json({ success: false, error: 'Order must be a list of service keys' });
     }
     
-    if (userId === ADMIN_UID) {
-      return res.status(403).json({ success: false, error: 'Cannot remove main admin' });
+    const catalog = await getCatalog();
+    const unknownKeys = order.filter(key => !catalog[key]);
+    
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown services: ${unknownKeys.join(', ')}` });
     }
     
-    const deletePromises = [
-      admin.database().ref('users/' + userId).remove(),
-      admin.database().ref('activeTransactions/' + userId).remove(),
-      admin.database().ref('userHistory/' + userId).remove(),
-      admin.database().ref('apiKeyLogs/' + userId).remove(),
-      admin.database().ref('transactions/' + userId).remove(),
-    ];
+    // Services left out of the list keep their relative order after the listed ones
+    const remainingKeys = Object.keys(catalog)
+      .filter(key => !order.includes(key))
+      .sort((a, b) => (catalog[a].order || 0) - (catalog[b].order || 0));
     
-    await Promise.all(deletePromises);
+    const updates = {};
+    [...order, ...remainingKeys].forEach((key, index) => {
+      updates[key + '/order'] = index;
+      updates[key + '/updatedAt'] = Date.now();
+    });
     
-    try {
-      await admin.auth().deleteUser(userId);
-    } catch (authError) {
-      console.log('Auth delete optional:', authError.message);
-    }
+    await admin.database().ref('catalog').update(updates);
+    invalidateCatalogCache();
     
     res.json({
       success: true,
-      message: 'User removed successfully'
+      message: 'Services reordered',
+      order: order
     });
   } catch (error) {
-    console.error('Admin remove user error:', error);
-    res.status(500).json({ success: false, error: 'Failed to remove user' });
+    console.error('Admin reorder services error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reorder services' });
   }
 });
 
-app.post('/api/admin/resetPassword', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/serviceTypes', adminAuthMiddleware, async (req, res) => {
   try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'User ID required' });
-    }
-    
-    const userRef = admin.database().ref('users/' + userId + '/email');
-    const snapshot = await userRef.once('value');
-    const email = snapshot.val();
-    
-    if (!email) {
-      return res.status(404).json({ success: false, error: 'User email not found' });
-    }
-    
-    const actionCodeSettings = {
-      url: `${req.headers.origin || 'https://your-domain.com'}/login`,
-      handleCodeInApp: false
-    };
+    invalidateCatalogCache();
+    const serviceTypes = await getServiceTypes();
     
-    try {
-      const resetLink = await admin.auth().generatePasswordResetLink(email, actionCodeSettings);
-      
-      res.json({
-        success: true,
-        message: 'Password reset link generated',
-        resetLink: resetLink,
-        email: email
-      });
-    } catch (firebaseError) {
-      console.error('Firebase reset link error:', firebaseError);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to generate reset link. Make sure Firebase Auth API is enabled.' 
-      });
-    }
+    const serviceTypeList = Object.entries(serviceTypes)
+      .map(([id, serviceType]) => ({ id, ...serviceType }))
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
     
+    res.json({
+      success: true,
+      serviceTypes: serviceTypeList,
+      count: serviceTypeList.length
+    });
   } catch (error) {
-    console.error('Reset password error:', error);
-    res.status(500).json({ success: false, error: 'Failed to reset password' });
+    console.error('Admin get service types error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load service types' });
   }
 });
 
-app.post('/api/admin/regenerateApiKey', adminAuthMiddleware, async (req, res) => {
+// Create or edit a service type (WhatsApp, Telegram, ...) and its upstream service codes
+app.post('/api/admin/saveServiceType', adminAuthMiddleware, async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { id, name, providerCode, providerCodes, otpPatterns, enabled, order } = req.body;
     
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'User ID required' });
+    if (!id || !/^[a-z0-9_]+$/.test(id)) {
+      return res.status(400).json({ success: false, error: 'Service type ID required (lowercase letters, digits and _)' });
     }
     
-    const newApiKey = 'sk_' + Math.random().toString(36).substring(2) + Math.random().toString(36).substring(2);
+    const serviceTypes = await getServiceTypes();
+    const existing = serviceTypes[id];
     
-    await admin.database().ref('users/' + userId + '/apiKey').set(newApiKey);
+    if (!existing && (!name || !providerCode)) {
+      return res.status(400).json({ success: false, error: 'Name and provider service code required' });
+    }
     
-    const logRef = admin.database().ref('apiKeyLogs/' + userId).push();
-    await logRef.set({
-      changedBy: req.adminUser.uid,
-      newKey: newApiKey.substring(0, 10) + '...',
-      timestamp: Date.now(),
-      changeType: 'admin_forced'
-    });
+    if (providerCodes !== undefined) {
+      const unknownProviders = Object.keys(providerCodes || {}).filter(provider => !providers[provider]);
+      if (unknownProviders.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown providers: ${unknownProviders.join(', ')}` });
+      }
+    }
+    
+    if (otpPatterns !== undefined) {
+      const patternError = validateOtpPatterns(otpPatterns);
+      if (patternError) {
+        return res.status(400).json({ success: false, error: patternError });
+      }
+    }
+    
+    const updates = { updatedAt: Date.now() };
+    if (name) updates.name = name;
+    if (providerCode) updates.providerCode = providerCode;
+    if (providerCodes !== undefined) updates.providerCodes = providerCodes || null;
+    if (otpPatterns !== undefined) updates.otpPatterns = otpPatterns;
+    if (enabled !== undefined) updates.enabled = enabled === true || enabled === 'true';
+    if (order !== undefined && !isNaN(parseInt(order))) updates.order = parseInt(order);
+    
+    if (!existing) {
+      updates.createdAt = Date.now();
+      if (updates.enabled === undefined) updates.enabled = true;
+      if (updates.order === undefined) updates.order = Object.keys(serviceTypes).length;
+    }
+    
+    await admin.database().ref('serviceTypes/' + id).update(updates);
+    invalidateCatalogCache();
     
     res.json({
       success: true,
-      message: 'API key regenerated',
-      newApiKey: newApiKey
+      message: existing ? 'Service type updated' : 'Service type created',
+      id: id,
+      updates: updates
     });
   } catch (error) {
-    console.error('Regenerate API key error:', error);
-    res.status(500).json({ success: false, error: 'Failed to regenerate API key' });
+    console.error('Admin save service type error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save service type' });
   }
 });
 
-app.get('/api/admin/user/:userId', adminAuthMiddleware, async (req, res) => {
-  try {
-    const { userId } = req.params;
+// ========== PRICE SYNC ==========
+// Sync always records the upstream cost, but only reprices entries an admin opted in: autoPrice: true
+// or a margin rule set in pricingRules. Hand-set prices are left alone otherwise.
+const defaultMarginRule = { percent: 30, fixed: 0, floor: null, ceiling: null };
+
+async function getPricingRules() {
+  const snapshot = await admin.database().ref('pricingRules').once('value');
+  const rules = snapshot.val() || {};
+  
+  return {
+    default: { ...defaultMarginRule, ...(rules.default || {}) },
+    defaultConfigured: !!rules.default,
+    overrides: rules.overrides || {}
+  };
+}
+
+function isAutoPriced(rules, key, service) {
+  if (service.autoPrice === true) return true;
+  if (service.autoPrice === false) return false;
+  return rules.defaultConfigured || !!rules.overrides[key];
+}
+
+// Per-service override wins over the default rule, field by field
+function getMarginRule(rules, key) {
+  return { ...rules.default, ...(rules.overrides[key] || {}) };
+}
+
+function computeSellingPrice(cost, rule) {
+  let price = cost * (1 + (parseFloat(rule.percent) || 0) / 100) + (parseFloat(rule.fixed) || 0);
+  
+  if (rule.floor !== null && rule.floor !== undefined) price = Math.max(price, parseFloat(rule.floor));
+  if (rule.ceiling !== null && rule.ceiling !== undefined) price = Math.min(price, parseFloat(rule.ceiling));
+  
+  return Math.ceil(price);
+}
+
+function validateMarginRule(rule) {
+  const fields = ['percent', 'fixed', 'floor', 'ceiling'];
+  const clean = {};
+  
+  for (const field of fields) {
+    if (rule[field] === undefined) continue;
+    if (rule[field] === null || rule[field] === '') {
+      clean[field] = null;
+      continue;
+    }
     
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'User ID required' });
+    const value = parseFloat(rule[field]);
+    if (isNaN(value) || value < 0) {
+      return { error: `Invalid ${field}` };
     }
+    clean[field] = value;
+  }
+  
+  if (clean.floor != null && clean.ceiling != null && clean.floor > clean.ceiling) {
+    return { error: 'Floor cannot be above ceiling' };
+  }
+  
+  return { rule: clean };
+}
+
+async function recordPriceChange(key, before, after, source, changedBy) {
+  const historyRef = admin.database().ref('priceHistory').push();
+  await historyRef.set({
+    key: key,
+    name: before.name,
+    oldPrice: before.price ?? null,
+    newPrice: after.price ?? null,
+    oldCost: before.cost ?? null,
+    newCost: after.cost ?? null,
+    belowCost: after.cost != null && after.price < after.cost,
+    source: source,
+    changedBy: changedBy || null,
+    timestamp: Date.now()
+  });
+}
+
+// getPrices replies are { country: { service: { cost, count } } } on SMS-Activate style
+// upstreams, but some resellers nest service first - accept both
+function extractPriceInfo(prices, country, serviceCode) {
+  const info = prices?.[country]?.[serviceCode] || prices?.[serviceCode]?.[country];
+  if (!info || info.cost === undefined) return null;
+  
+  return {
+    cost: parseFloat(info.cost),
+    count: parseInt(info.count) || 0
+  };
+}
+
+async function syncPrices(trigger, changedBy) {
+  invalidateCatalogCache();
+  const catalog = await getCatalog();
+  const serviceTypes = await getServiceTypes();
+  const rules = await getPricingRules();
+  
+  const priceTables = {};
+  const summary = { checked: 0, updated: 0, missing: [], errors: [] };
+  
+  for (const [key, service] of Object.entries(catalog)) {
+    const source = getServiceSources(service)[0];
+    const serviceCode = source.serviceCode || getProviderServiceCode(serviceTypes[service.service], source.provider);
+    const tableKey = source.provider + ':' + serviceCode;
+    
+    summary.checked++;
     
-    const userRef = admin.database().ref('users/' + userId);
-    const userSnapshot = await userRef.once('value');
-    const userData = userSnapshot.val();
+    try {
+      if (!priceTables[tableKey]) {
+        priceTables[tableKey] = await getProvider(source.provider).getPrices(serviceCode);
+      }
+    } catch (error) {
+      summary.errors.push({ key, error: error.message });
+      continue;
+    }
     
-    if (!userData) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+    const info = extractPriceInfo(priceTables[tableKey], source.code, serviceCode);
+    if (!info || isNaN(info.cost)) {
+      summary.missing.push(key);
+      continue;
     }
     
-    const historyRef = admin.database().ref('userHistory/' + userId);
-    const historySnapshot = await historyRef.orderByChild('timestamp').limitToLast(20).once('value');
-    const history = historySnapshot.val() || {};
+    const newPrice = isAutoPriced(rules, key, service)
+      ? computeSellingPrice(info.cost, getMarginRule(rules, key))
+      : service.price;
     
-    const transactionsRef = admin.database().ref('transactions/' + userId);
-    const transactionsSnapshot = await transactionsRef.orderByChild('timestamp').limitToLast(10).once('value');
-    const transactions = transactionsSnapshot.val() || {};
+    if (newPrice === service.price && info.cost === service.cost) continue;
     
-    const apiKeyLogsRef = admin.database().ref('apiKeyLogs/' + userId);
-    const apiKeyLogsSnapshot = await apiKeyLogsRef.orderByChild('timestamp').limitToLast(5).once('value');
-    const apiKeyLogs = apiKeyLogsSnapshot.val() || {};
+    await admin.database().ref('catalog/' + key).update({
+      cost: info.cost,
+      price: newPrice,
+      costUpdatedAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    await recordPriceChange(key, service, { price: newPrice, cost: info.cost }, trigger, changedBy);
+    
+    summary.updated++;
+  }
+  
+  invalidateCatalogCache();
+  await admin.database().ref('pricingRules/lastSync').set({ ...summary, trigger, timestamp: Date.now() });
+  
+  console.log(`💱 Price sync (${trigger}): ${summary.updated}/${summary.checked} updated`);
+  return summary;
+}
+
+app.post('/api/admin/syncPrices', adminAuthMiddleware, async (req, res) => {
+  try {
+    const summary = await syncPrices('manual', req.adminUser.uid);
+    
+    res.json({
+      success: true,
+      message: `${summary.updated} of ${summary.checked} services updated`,
+      summary: summary
+    });
+  } catch (error) {
+    console.error('Admin price sync error:', error);
+    res.status(500).json({ success: false, error: 'Price sync failed' });
+  }
+});
+
+app.get('/api/admin/pricingRules', adminAuthMiddleware, async (req, res) => {
+  try {
+    const rules = await getPricingRules();
+    const lastSyncSnapshot = await admin.database().ref('pricingRules/lastSync').once('value');
     
     res.json({
       success: true,
-      user: {
-        uid: userId,
-        ...userData
-      },
-      history: history,
-      transactions: transactions,
-      apiKeyLogs: apiKeyLogs
+      rules: rules,
+      lastSync: lastSyncSnapshot.val()
     });
-    
   } catch (error) {
-    console.error('Admin get user details error:', error);
-    res.status(500).json({ success: false, error: 'Failed to load user details' });
+    console.error('Admin get pricing rules error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load pricing rules' });
   }
 });
 
-app.get('/api/admin/stats', adminAuthMiddleware, async (req, res) => {
+// Set the default margin rule, or a per-service override when key is given (rule: null removes it)
+app.post('/api/admin/updatePricingRule', adminAuthMiddleware, async (req, res) => {
   try {
-    const usersRef = admin.database().ref('users');
-    const snapshot = await usersRef.once('value');
-    const users = snapshot.val() || {};
-    
-    let totalUsers = 0;
-    let totalBalance = 0;
-    let totalRequests = 0;
-    let totalSpent = 0;
-    let activeUsers = 0;
+    const { key, rule } = req.body;
     
-    const userArray = Object.values(users);
-    totalUsers = userArray.length;
+    if (rule === undefined) {
+      return res.status(400).json({ success: false, error: 'Rule required' });
+    }
     
-    userArray.forEach(user => {
-      totalBalance += user.wallet || 0;
-      totalRequests += user.apiRequests || 0;
-      totalSpent += user.totalSpent || 0;
+    if (key) {
+      const catalog = await getCatalog();
+      if (!catalog[key]) {
+        return res.status(404).json({ success: false, error: 'Service not found' });
+      }
       
-      if (user.joined && (Date.now() - user.joined) < (7 * 24 * 60 * 60 * 1000)) {
-        activeUsers++;
+      if (rule === null) {
+        await admin.database().ref('pricingRules/overrides/' + key).remove();
+        return res.json({ success: true, message: 'Override removed', key: key });
       }
-    });
+    } else if (rule === null) {
+      return res.status(400).json({ success: false, error: 'Default rule cannot be removed' });
+    }
     
-    const activeTransactionsRef = admin.database().ref('activeTransactions');
-    const activeSnapshot = await activeTransactionsRef.once('value');
-    const activeTransactions = activeSnapshot.val() || {};
-    const activeNumbers = Object.keys(activeTransactions).length;
+    const { rule: cleanRule, error } = validateMarginRule(rule);
+    if (error) {
+      return res.status(400).json({ success: false, error: error });
+    }
     
-    // Get reseller stats
-    const resellersRef = admin.database().ref('resellers');
-    const resellersSnapshot = await resellersRef.once('value');
-    const resellers = resellersSnapshot.val() || {};
-    const totalResellers = Object.keys(resellers).length;
-    const totalCommission = Object.values(resellers).reduce((sum, r) => sum + (r.totalCommission || 0), 0);
+    const rulePath = key ? 'pricingRules/overrides/' + key : 'pricingRules/default';
+    await admin.database().ref(rulePath).update(cleanRule);
     
     res.json({
       success: true,
-      stats: {
-        totalUsers,
-        totalBalance,
-        totalRequests,
-        totalSpent,
-        activeUsers,
-        activeNumbers,
-        totalResellers,
-        totalCommission,
-        averageBalance: totalUsers > 0 ? Math.round(totalBalance / totalUsers) : 0,
-        averageSpent: totalUsers > 0 ? Math.round(totalSpent / totalUsers) : 0,
-        successRate: totalRequests > 0 ? Math.round((userArray.reduce((sum, user) => sum + (user.apiSuccess || 0), 0) / totalRequests) * 100) : 0
-      }
+      message: key ? 'Override saved' : 'Default rule saved',
+      key: key || null,
+      rule: cleanRule
     });
-    
   } catch (error) {
-    console.error('Admin stats error:', error);
-    res.status(500).json({ success: false, error: 'Failed to load stats' });
+    console.error('Admin update pricing rule error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save pricing rule' });
   }
 });
 
-app.post('/api/admin/updateUser', adminAuthMiddleware, async (req, res) => {
+app.get('/api/admin/priceHistory', adminAuthMiddleware, async (req, res) => {
   try {
-    const { userId, updates } = req.body;
-    
-    if (!userId || !updates) {
-      return res.status(400).json({ success: false, error: 'User ID and updates required' });
-    }
+    const { key } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
     
-    if (userId === ADMIN_UID) {
-      return res.status(403).json({ success: false, error: 'Cannot update main admin' });
-    }
+    let query = admin.database().ref('priceHistory');
+    query = key ? query.orderByChild('key').equalTo(key) : query.orderByChild('timestamp').limitToLast(limit);
     
-    const allowedUpdates = ['name', 'email', 'wallet'];
-    const validUpdates = {};
+    const snapshot = await query.once('value');
+    const history = Object.values(snapshot.val() || {})
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
     
-    Object.keys(updates).forEach(key => {
-      if (allowedUpdates.includes(key)) {
-        validUpdates[key] = updates[key];
-      }
+    res.json({
+      success: true,
+      history: history,
+      count: history.length
     });
+  } catch (error) {
+    console.error('Admin price history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load price history' });
+  }
+});
+
+// ========== ADMIN WALLET LEDGER ==========
+app.get('/api/admin/ledger', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { account } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
     
-    if (Object.keys(validUpdates).length === 0) {
-      return res.status(400).json({ success: false, error: 'No valid updates provided' });
-    }
-    
-    const userRef = admin.database().ref('users/' + userId);
-    await userRef.update(validUpdates);
+    let query = admin.database().ref('walletLedger');
+    query = account ? query.orderByChild('account').equalTo(account) : query.orderByChild('timestamp').limitToLast(limit);
     
-    if (validUpdates.email) {
-      try {
-        await admin.auth().updateUser(userId, {
-          email: validUpdates.email
-        });
-      } catch (authError) {
-        console.error('Auth update error:', authError);
-      }
-    }
+    const snapshot = await query.once('value');
+    const entries = Object.values(snapshot.val() || {})
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
     
     res.json({
       success: true,
-      message: 'User updated successfully',
-      updates: validUpdates
+      entries: entries,
+      count: entries.length
     });
-    
   } catch (error) {
-    console.error('Admin update user error:', error);
-    res.status(500).json({ success: false, error: 'Failed to update user' });
+    console.error('Admin ledger error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load ledger' });
   }
 });
 
-app.post('/api/admin/login', async (req, res) => {
+// Replays the ledger per wallet and compares it with the stored balances
+app.get('/api/admin/reconcileWallets', adminAuthMiddleware, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const [ledgerSnapshot, usersSnapshot, resellersSnapshot] = await Promise.all([
+      admin.database().ref('walletLedger').once('value'),
+      admin.database().ref('users').once('value'),
+      admin.database().ref('resellers').once('value')
+    ]);
+    
+    const wallets = {};
+    Object.entries(usersSnapshot.val() || {}).forEach(([uid, data]) => {
+      wallets['users/' + uid] = data.wallet || 0;
+    });
+    Object.entries(resellersSnapshot.val() || {}).forEach(([id, data]) => {
+      wallets['resellers/' + id] = data.wallet || 0;
+    });
     
-    if (!email || !password) {
-      return res.status(400).json({ success: false, error: 'Email and password required' });
-    }
+    // Push IDs sort chronologically, so key order is ledger order
+    const entriesByAccount = {};
+    Object.keys(ledgerSnapshot.val() || {}).sort().forEach(key => {
+      const entry = ledgerSnapshot.val()[key];
+      if (!entriesByAccount[entry.account]) entriesByAccount[entry.account] = [];
+      entriesByAccount[entry.account].push(entry);
+    });
     
-    try {
-      const userRecord = await admin.auth().getUserByEmail(email);
+    const mismatches = [];
+    let reconciled = 0;
+    let unledgered = 0;
+    
+    Object.entries(wallets).forEach(([account, walletBalance]) => {
+      const entries = entriesByAccount[account] || [];
       
-      if (userRecord.uid === ADMIN_UID) {
-        const customToken = await admin.auth().createCustomToken(userRecord.uid);
-        
-        res.json({
-          success: true,
-          message: 'Admin login successful',
-          userId: userRecord.uid,
-          customToken: customToken,
-          user: {
-            uid: userRecord.uid,
-            email: userRecord.email,
-            name: userRecord.displayName || 'Admin'
-          }
+      if (entries.length === 0) {
+        if (walletBalance !== 0) unledgered++;
+        return;
+      }
+      
+      let gaps = 0;
+      let replayed = entries[0].balanceBefore;
+      
+      entries.forEach(entry => {
+        if (roundMoney(entry.balanceBefore) !== roundMoney(replayed)) gaps++;
+        const signed = entry.creditAccount === account ? entry.amount : -entry.amount;
+        replayed = roundMoney(entry.balanceBefore + signed);
+      });
+      
+      const ledgerBalance = entries[entries.length - 1].balanceAfter;
+      
+      if (gaps > 0 || roundMoney(ledgerBalance) !== roundMoney(walletBalance) || roundMoney(replayed) !== roundMoney(ledgerBalance)) {
+        mismatches.push({
+          account: account,
+          walletBalance: walletBalance,
+          ledgerBalance: ledgerBalance,
+          difference: roundMoney(walletBalance - ledgerBalance),
+          gaps: gaps,
+          entries: entries.length
         });
       } else {
-        const adminRef = admin.database().ref('admins/' + userRecord.uid);
-        const snapshot = await adminRef.once('value');
-        
-        if (snapshot.exists() && snapshot.val() === true) {
-          const customToken = await admin.auth().createCustomToken(userRecord.uid);
-          
-          res.json({
-            success: true,
-            message: 'Admin login successful',
-            userId: userRecord.uid,
-            customToken: customToken,
-            user: {
-              uid: userRecord.uid,
-              email: userRecord.email,
-              name: userRecord.displayName || 'Admin'
-            }
-          });
-        } else {
-          res.status(403).json({ success: false, error: 'Admin access required' });
-        }
+        reconciled++;
       }
-    } catch (error) {
-      console.error('Admin login error:', error);
-      res.status(401).json({ success: false, error: 'Invalid credentials' });
-    }
+    });
     
+    res.json({
+      success: true,
+      reconciled: reconciled,
+      unledgered: unledgered,
+      mismatches: mismatches,
+      checkedAt: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Admin login endpoint error:', error);
-    res.status(500).json({ success: false, error: 'Login failed' });
+    console.error('Reconcile wallets error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reconcile wallets' });
   }
 });
 
-// ========== NEW: ADMIN RESELLER MANAGEMENT ==========
-app.get('/api/admin/resellers', adminAuthMiddleware, async (req, res) => {
+// ========== ADMIN DISPUTES ==========
+app.get('/api/admin/disputes', adminAuthMiddleware, async (req, res) => {
   try {
-    const resellersRef = admin.database().ref('resellers');
-    const snapshot = await resellersRef.once('value');
-    const resellers = snapshot.val() || {};
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
     
-    const resellerList = await Promise.all(
-      Object.entries(resellers).map(async ([id, data]) => {
-        const referredCount = await getReferredUsersCount(id);
-        return {
-          id,
-          name: data.name,
-          email: data.email,
-          customName: data.customName,
-          commissionPercent: data.commissionPercent || 15,
-          wallet: data.wallet || 0,
-          totalSales: data.totalSales || 0,
-          totalCommission: data.totalCommission || 0,
-          referralCount: referredCount,
-          status: data.status || 'active',
-          createdAt: data.createdAt,
-          lastSale: data.lastSale
-        };
-      })
-    );
+    let query = admin.database().ref('disputes');
+    query = status ? query.orderByChild('status').equalTo(status) : query.orderByChild('createdAt').limitToLast(limit);
+    
+    const snapshot = await query.once('value');
+    const disputes = Object.values(snapshot.val() || {})
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
     
     res.json({
       success: true,
-      resellers: resellerList,
-      count: resellerList.length
+      disputes: disputes,
+      count: disputes.length
     });
-    
   } catch (error) {
-    console.error('Admin get resellers error:', error);
-    res.status(500).json({ success: false, error: 'Failed to load resellers' });
+    console.error('Admin disputes error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load disputes' });
   }
 });
 
-app.post('/api/admin/reseller/approveWithdrawal', adminAuthMiddleware, async (req, res) => {
+// action 'approve' refunds amount (default: everything still charged) and reverses the
+// matching share of reseller commission; 'reject' closes the dispute without a refund
+app.post('/api/admin/resolveDispute', adminAuthMiddleware, async (req, res) => {
+  const { disputeId, action, note } = req.body;
+  const disputeRef = admin.database().ref('disputes/' + (disputeId || '-'));
+  let claimed = false;
+  
   try {
-    const { withdrawalId } = req.body;
+    if (!disputeId || !['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'Dispute ID and action (approve or reject) required' });
+    }
     
-    if (!withdrawalId) {
-      return res.status(400).json({ success: false, error: 'Withdrawal ID required' });
+    const snapshot = await disputeRef.once('value');
+    const dispute = snapshot.val();
+    
+    if (!dispute) {
+      return res.status(404).json({ success: false, error: 'Dispute not found' });
     }
     
-    const withdrawalRef = admin.database().ref('withdrawals/' + withdrawalId);
-    const snapshot = await withdrawalRef.once('value');
-    const withdrawal = snapshot.val();
+    const amount = req.body.amount !== undefined ? roundMoney(parseFloat(req.body.amount)) : dispute.charged;
     
-    if (!withdrawal) {
-      return res.status(404).json({ success: false, error: 'Withdrawal not found' });
+    if (action === 'approve' && (isNaN(amount) || amount <= 0 || amount > dispute.charged)) {
+      return res.status(400).json({ success: false, error: `Refund amount must be between 0 and ₹${dispute.charged}` });
     }
     
-    // Update withdrawal status
-    await withdrawalRef.update({
-      status: 'completed',
-      completedAt: Date.now(),
-      approvedBy: req.adminUser.uid
+    // Two admins resolving at once must not refund twice
+    const claim = await disputeRef.transaction(current => {
+      if (!current || current.status !== 'open') return;
+      return { ...current, status: 'resolving', resolvingAt: Date.now() };
     });
     
-    // Update reseller withdrawal history
-    await admin.database().ref('resellerWithdrawals/' + withdrawal.resellerId + '/' + withdrawalId).update({
-      status: 'completed',
-      completedAt: Date.now()
+    if (!claim.committed) {
+      return res.status(409).json({ success: false, error: 'Dispute is already resolved' });
+    }
+    claimed = true;
+    
+    let refundAmount = 0;
+    let commissionReversed = 0;
+    
+    if (action === 'approve') {
+      await refundBalance(dispute.uid, amount, 'dispute_approved', disputeId);
+      refundAmount = amount;
+      // Money has moved - never reopen it for a second refund from here on
+      claimed = false;
+      
+      commissionReversed = await reverseResellerCommission({
+        resellerId: dispute.resellerId,
+        commission: dispute.commission,
+        price: dispute.price,
+        transactionId: dispute.transactionId,
+        saleId: dispute.saleId
+      }, amount, disputeId);
+    }
+    
+    const status = action === 'approve' ? 'approved' : 'rejected';
+    
+    await disputeRef.update({
+      status: status,
+      refundAmount: refundAmount,
+      commissionReversed: commissionReversed,
+      note: note || null,
+      resolvedBy: req.adminUser.uid,
+      resolvedAt: Date.now(),
+      resolvingAt: null
     });
     
-    // Send notification to reseller (you can add email/notification system here)
+    const historyUpdates = { disputeStatus: status };
+    if (refundAmount > 0) {
+      historyUpdates.refundAmount = admin.database.ServerValue.increment(refundAmount);
+    }
+    await admin.database().ref('userHistory/' + dispute.uid + '/' + dispute.historyKey).update(historyUpdates);
+    await setSaleDisputeStatus(dispute, status);
     
     res.json({
       success: true,
-      message: 'Withdrawal approved successfully',
-      withdrawalId: withdrawalId
+      disputeId: disputeId,
+      status: status,
+      refundAmount: refundAmount,
+      commissionReversed: commissionReversed
     });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    
+    if (claimed) {
+      await disputeRef.update({ status: 'open', resolvingAt: null }).catch(updateError => {
+        console.error(`Failed to reopen dispute ${disputeId}:`, updateError.message);
+      });
+    }
     
+    res.status(500).json({ success: false, error: 'Failed to resolve dispute' });
+  }
+});
+
+// ========== CRON JOBS ==========
+// Vercel cron jobs call with "Authorization: Bearer <CRON_SECRET>"
+function cronAuthMiddleware(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  
+  next();
+}
+
+app.get('/api/cron/syncPrices', cronAuthMiddleware, async (req, res) => {
+  try {
+    const summary = await syncPrices('cron');
+    res.json({ success: true, summary });
   } catch (error) {
-    console.error('Approve withdrawal error:', error);
-    res.status(500).json({ success: false, error: 'Failed to approve withdrawal' });
+    console.error('Cron price sync error:', error);
+    res.status(500).json({ success: false, error: 'Price sync failed' });
+  }
+});
+
+app.get('/api/cron/expireNumbers', cronAuthMiddleware, async (req, res) => {
+  try {
+    const summary = await sweepExpiredTransactions();
+    summary.idempotencyKeysPruned = await pruneIdempotencyKeys();
+    summary.signatureNoncesPruned = await pruneSignatureNonces();
+    summary.commissions = await releaseDueCommissions();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Cron expiry sweep error:', error);
+    res.status(500).json({ success: false, error: 'Expiry sweep failed' });
+  }
+});
+
+app.get('/api/cron/webhooks', cronAuthMiddleware, async (req, res) => {
+  try {
+    const polled = await pollWebhookTransactions();
+    const queue = await processWebhookQueue();
+    res.json({ success: true, summary: { polled, queue } });
+  } catch (error) {
+    console.error('Cron webhook error:', error);
+    res.status(500).json({ success: false, error: 'Webhook processing failed' });
+  }
+});
+
+app.get('/api/cron/reservations', cronAuthMiddleware, async (req, res) => {
+  try {
+    const summary = await processReservations();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Cron reservation error:', error);
+    res.status(500).json({ success: false, error: 'Reservation processing failed' });
   }
 });
 
@@ -1877,15 +6850,26 @@ app.use('/api/*', (req, res) => {
     available: [
       '/api/health',
       '/api/services',
+      '/api/services/availability',
       '/api/getBalance',
       '/api/getNumber',
       '/api/getOtp',
+      '/api/otp/stream',
+      '/api/requestNextSms',
       '/api/cancelNumber',
+      '/api/reportNumber',
+      '/api/getNumbers',
+      '/api/getBatch',
+      '/api/cancelBatch',
       '/api/getHistory',
       '/api/dashboard/user',
       '/api/dashboard/generateApiKey',
       '/api/dashboard/changeApiKey',
       '/api/dashboard/apiKeyHistory',
+      '/api/dashboard/apiKeys',
+      '/api/dashboard/limits',
+      '/api/dashboard/webhook',
+      '/api/dashboard/webhook/deliveries',
       '/api/changeApiKey',
       '/api/register',
       // Reseller endpoints
@@ -1901,5 +6885,34 @@ app.use('/api/*', (req, res) => {
   });
 });
 
+// Local development server (Vercel imports the app instead)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`🚀 Happy OTP API running on http://localhost:${PORT}`);
+  });
+  
+  // No Vercel cron locally, so sweep expired numbers in-process
+  setInterval(() => {
+    sweepExpiredTransactions().catch(error => console.error('Expiry sweep error:', error));
+    pruneIdempotencyKeys().catch(error => console.error('Idempotency prune error:', error));
+    pruneSignatureNonces().catch(error => console.error('Signature nonce prune error:', error));
+    releaseDueCommissions().catch(error => console.error('Commission release error:', error));
+  }, 60 * 1000);
+  
+  setInterval(async () => {
+    try {
+      await pollWebhookTransactions();
+      await processWebhookQueue();
+    } catch (error) {
+      console.error('Webhook processing error:', error);
+    }
+  }, 15 * 1000);
+  
+  setInterval(() => {
+    processReservations().catch(error => console.error('Reservation processing error:', error));
+  }, 30 * 1000);
+}
+
 // Export for Vercel
 module.exports = app;
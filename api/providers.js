@@ -0,0 +1,122 @@
+const axios = require('axios');
+
+// ========== PROVIDER ADAPTERS ==========
+// Every adapter exposes the same methods so routes never build upstream URLs themselves:
+//   getNumber(service, country) -> { success, id, number, error, raw }
+//   getStatus(id)               -> { status, code, raw }
+//   getFullSms(id)              -> full text of the received SMS, or null
+//   setStatus(id, status)       -> raw reply
+//   reportNumber(id)            -> { accepted, raw } - optional, for protocols that take bad-number reports
+//   getBalance()                -> number
+//   getPrices(service, country) -> parsed price table
+
+// SMS-Activate style "handler_api.php" text protocol (FireXOTP and most resellers speak it)
+function createHandlerApiProvider(name, config) {
+  if (!config.baseUrl) {
+    throw new Error(`Provider "${name}" is missing baseUrl`);
+  }
+
+  async function request(params, timeout) {
+    const response = await axios.get(config.baseUrl, {
+      params: { api_key: config.apiKey, ...params },
+      timeout: timeout || config.timeout || 10000,
+      responseType: 'text',
+      transformResponse: [data => data]
+    });
+    return String(response.data || '').trim();
+  }
+
+  return {
+    name,
+    type: 'handler_api',
+
+    async getNumber(service, country) {
+      const data = await request({ action: 'getNumber', service, country });
+
+      if (data.startsWith('ACCESS_NUMBER')) {
+        const parts = data.split(':');
+        if (parts.length >= 3 && parts[1] && parts[2]) {
+          return { success: true, id: parts[1], number: parts[2], raw: data };
+        }
+        return { success: false, error: 'BAD_RESPONSE', raw: data };
+      }
+
+      return { success: false, error: data.split(':')[0] || 'BAD_RESPONSE', raw: data };
+    },
+
+    async getStatus(id) {
+      const data = await request({ action: 'getStatus', id }, 5000);
+      const separator = data.indexOf(':');
+
+      return {
+        status: separator === -1 ? data : data.substring(0, separator),
+        code: separator === -1 ? null : data.substring(separator + 1),
+        raw: data
+      };
+    },
+
+    async getFullSms(id) {
+      const data = await request({ action: 'getFullSms', id }, 5000);
+
+      if (!data.startsWith('FULL_SMS:')) return null;
+      return data.substring('FULL_SMS:'.length).trim() || null;
+    },
+
+    async setStatus(id, status) {
+      return request({ action: 'setStatus', id, status }, 5000);
+    },
+
+    // handler_api has no separate report action; status 8 releases the number as unusable.
+    // Upstreams refuse it once an SMS arrived (EARLY_CANCEL_DENIED), so accepted is often false.
+    async reportNumber(id) {
+      const data = await request({ action: 'setStatus', id, status: 8 }, 5000);
+      return { accepted: data === 'ACCESS_CANCEL', raw: data };
+    },
+
+    async getBalance() {
+      const data = await request({ action: 'getBalance' }, 5000);
+
+      if (!data.startsWith('ACCESS_BALANCE')) {
+        throw new Error(`${name} getBalance failed: ${data}`);
+      }
+      return parseFloat(data.split(':')[1]) || 0;
+    },
+
+    async getPrices(service, country) {
+      const params = { action: 'getPrices' };
+      if (service) params.service = service;
+      if (country) params.country = country;
+
+      const data = await request(params);
+
+      try {
+        return JSON.parse(data);
+      } catch (e) {
+        throw new Error(`${name} getPrices failed: ${data}`);
+      }
+    }
+  };
+}
+
+const adapterTypes = {
+  handler_api: createHandlerApiProvider
+};
+
+function createProviders(configs) {
+  const providers = {};
+
+  Object.entries(configs).forEach(([name, config]) => {
+    const factory = adapterTypes[config.type || 'handler_api'];
+    if (!factory) {
+      throw new Error(`Unknown provider type "${config.type}" for provider "${name}"`);
+    }
+    providers[name] = factory(name, config);
+  });
+
+  return providers;
+}
+
+module.exports = {
+  createProviders,
+  adapterTypes
+};
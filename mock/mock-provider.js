@@ -0,0 +1,215 @@
+// Local stand-in for the FireXOTP / SMS-Activate handler_api.php protocol.
+// Run with `npm run mock-provider`, then start the API with
+// MOCK_PROVIDER_URL=http://localhost:4010/stubs/handler_api.php so no real numbers are bought.
+//
+// Behaviour is driven by a scenario (MOCK_SCENARIO=path/to/scenario.json or POST /__mock/scenario):
+// {
+//   "balance": 1000,
+//   "default": { "stock": 50, "otpAfter": 20, "code": "123456", "cost": 40 },
+//   "countries": { "54": { "stock": 0 }, "118": { "otpAfter": null }, "66": { "reply": "NO_BALANCE" } }
+// }
+//   stock    - numbers left for that country code (0 = NO_NUMBERS)
+//   otpAfter - seconds until the SMS arrives (null = never, so the number expires)
+//   code     - OTP delivered as STATUS_OK:<code>
+//   text     - full SMS returned by getFullSms ({code} is replaced with the code)
+//   reply    - raw getNumber reply to force (NO_BALANCE, a malformed ACCESS_NUMBER, ...)
+//   cancelReply - raw setStatus=8 reply to force (EARLY_CANCEL_DENIED, ...)
+//   delayMs  - hold every reply for that long (exercise client timeouts)
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PORT = process.env.MOCK_PROVIDER_PORT || 4010;
+const MOCK_API_KEY = process.env.MOCK_PROVIDER_API_KEY || null;
+
+const defaultScenario = {
+  balance: 1000,
+  default: { stock: 50, otpAfter: 20, code: '123456', text: 'Your verification code is {code}. Do not share it.', cost: 40 },
+  countries: {}
+};
+
+let scenario = loadScenario(process.env.MOCK_SCENARIO);
+let activations = {};
+let nextActivationId = 100000;
+
+function buildScenario(data) {
+  return {
+    ...defaultScenario,
+    ...data,
+    default: { ...defaultScenario.default, ...(data.default || {}) },
+    countries: { ...(data.countries || {}) }
+  };
+}
+
+function loadScenario(file) {
+  if (!file) return buildScenario({});
+  return buildScenario(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+}
+
+function ruleFor(country) {
+  return { ...scenario.default, ...(scenario.countries[country] || {}) };
+}
+
+function randomNumber() {
+  return '91' + String(Math.floor(Math.random() * 9000000000) + 1000000000);
+}
+
+// Activation status as the real upstream would report it right now
+function currentStatus(activation) {
+  if (activation.status === 'CANCEL') return 'STATUS_CANCEL';
+
+  const rule = ruleFor(activation.country);
+  const elapsed = (Date.now() - activation.waitingSince) / 1000;
+
+  if (!activation.code && rule.otpAfter !== null && rule.otpAfter !== undefined && elapsed >= rule.otpAfter) {
+    activation.code = rule.code;
+    activation.text = null;
+  }
+
+  if (activation.code) return 'STATUS_OK:' + activation.code;
+  if (activation.previousCode) return 'STATUS_WAIT_RETRY:' + activation.previousCode;
+  return 'STATUS_WAIT_CODE';
+}
+
+const actions = {
+  getNumber(params) {
+    const rule = ruleFor(params.country);
+
+    if (rule.reply) return rule.reply;
+    if (scenario.balance < (rule.cost || 0)) return 'NO_BALANCE';
+    if (!rule.stock || rule.stock <= 0) return 'NO_NUMBERS';
+
+    const id = String(nextActivationId++);
+    activations[id] = {
+      id,
+      number: randomNumber(),
+      service: params.service,
+      country: params.country,
+      status: 'WAIT_CODE',
+      code: null,
+      createdAt: Date.now(),
+      waitingSince: Date.now()
+    };
+
+    scenario.balance -= rule.cost || 0;
+    scenario.countries[params.country] = { ...(scenario.countries[params.country] || {}), stock: rule.stock - 1 };
+
+    return `ACCESS_NUMBER:${id}:${activations[id].number}`;
+  },
+
+  getStatus(params) {
+    const activation = activations[params.id];
+    if (!activation) return 'NO_ACTIVATION';
+    return currentStatus(activation);
+  },
+
+  getFullSms(params) {
+    const activation = activations[params.id];
+    if (!activation) return 'NO_ACTIVATION';
+    if (!activation.code) return 'STATUS_WAIT_CODE';
+    const text = activation.text || ruleFor(activation.country).text;
+    return 'FULL_SMS:' + text.replace('{code}', activation.code);
+  },
+
+  setStatus(params) {
+    const activation = activations[params.id];
+    if (!activation) return 'NO_ACTIVATION';
+
+    switch (String(params.status)) {
+      case '8':
+        if (ruleFor(activation.country).cancelReply) return ruleFor(activation.country).cancelReply;
+        if (activation.code) return 'EARLY_CANCEL_DENIED';
+        activation.status = 'CANCEL';
+        scenario.balance += ruleFor(activation.country).cost || 0;
+        return 'ACCESS_CANCEL';
+      case '3':
+        activation.previousCode = activation.code;
+        activation.code = null;
+        activation.text = null;
+        activation.waitingSince = Date.now();
+        return 'ACCESS_RETRY_GET';
+      case '6':
+        activation.status = 'FINISHED';
+        return 'ACCESS_ACTIVATION';
+      default:
+        return 'ACCESS_READY';
+    }
+  },
+
+  getBalance() {
+    return 'ACCESS_BALANCE:' + scenario.balance.toFixed(2);
+  },
+
+  getPrices(params) {
+    const codes = new Set([...Object.keys(scenario.countries), params.country].filter(Boolean));
+    const prices = {};
+
+    codes.forEach(country => {
+      if (params.country && country !== params.country) return;
+      const rule = ruleFor(country);
+      prices[country] = {
+        [params.service || 'wa']: { cost: rule.cost || 0, count: Math.max(0, rule.stock || 0) }
+      };
+    });
+
+    return JSON.stringify(prices);
+  }
+};
+
+const app = express();
+app.use(express.json());
+
+app.get('/stubs/handler_api.php', (req, res) => {
+  const params = req.query;
+  const handler = actions[params.action];
+  const rule = ruleFor(params.country || activations[params.id]?.country);
+
+  let reply;
+  if (MOCK_API_KEY && params.api_key !== MOCK_API_KEY) {
+    reply = 'BAD_KEY';
+  } else if (!handler) {
+    reply = 'WRONG_ACTION';
+  } else {
+    reply = handler(params);
+  }
+
+  console.log(`[mock] ${params.action} ${JSON.stringify(params)} -> ${reply}`);
+  setTimeout(() => res.type('text/plain').send(reply), rule.delayMs || 0);
+});
+
+// ========== SCENARIO CONTROL ==========
+app.get('/__mock/state', (req, res) => {
+  res.json({ scenario, activations });
+});
+
+app.post('/__mock/scenario', (req, res) => {
+  scenario = buildScenario(req.body || {});
+  res.json({ success: true, scenario });
+});
+
+// Deliver an SMS right now instead of waiting for otpAfter ({ code, text })
+app.post('/__mock/activations/:id/sms', (req, res) => {
+  const activation = activations[req.params.id];
+  if (!activation) {
+    return res.status(404).json({ success: false, error: 'Activation not found' });
+  }
+
+  activation.code = String(req.body.code || ruleFor(activation.country).code);
+  activation.text = req.body.text || null;
+  res.json({ success: true, activation });
+});
+
+app.post('/__mock/reset', (req, res) => {
+  scenario = loadScenario(process.env.MOCK_SCENARIO);
+  activations = {};
+  res.json({ success: true });
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🧪 Mock OTP provider listening on http://localhost:${PORT}/stubs/handler_api.php`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_active';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'active@example.com', wallet: 10000, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 2 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+});
+
+async function get(path) {
+  const separator = path.includes('?') ? '&' : '?';
+  const response = await fetch(`${servers.apiUrl}${path}${separator}api_key=${API_KEY}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('parallel purchases cannot go over maxActiveNumbers', async () => {
+  const results = await Promise.all([1, 2, 3, 4, 5].map(() => get('/api/getNumber?country=india_115')));
+  
+  assert.strictEqual(results.filter(result => result.body.success).length, 2);
+  assert.strictEqual(results.filter(result => result.status === 429).length, 3);
+  assert.strictEqual(Object.keys(fakeFirebase.read('activeTransactions/u1')).length, 2);
+  assert.strictEqual(fakeFirebase.read('users/u1/activeCount'), 2);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 9800);
+});
+
+test('cancelling a number frees its slot', async () => {
+  const first = await get('/api/getNumber?country=india_115');
+  await get('/api/getNumber?country=india_115');
+  assert.strictEqual((await get('/api/getNumber?country=india_115')).status, 429);
+  
+  const cancelled = await get('/api/cancelNumber?id=' + first.body.id);
+  assert.strictEqual(cancelled.body.success, true);
+  assert.strictEqual(fakeFirebase.read('users/u1/activeCount'), 1);
+  
+  assert.strictEqual((await get('/api/getNumber?country=india_115')).body.success, true);
+});
+
+test('a batch larger than the free slots is refused before charging', async () => {
+  await get('/api/getNumber?country=india_115');
+  
+  const response = await fetch(servers.apiUrl + '/api/getNumbers', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ api_key: API_KEY, country: 'india_115', quantity: 2 })
+  });
+  
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 9900);
+  assert.strictEqual(fakeFirebase.read('users/u1/activeCount'), 1);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_cancel';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'cancel@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+});
+
+async function setScenario(scenario) {
+  await fetch(servers.mockUrl + '/__mock/scenario', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(scenario)
+  });
+}
+
+async function get(path) {
+  const separator = path.includes('?') ? '&' : '?';
+  const response = await fetch(`${servers.apiUrl}${path}${separator}api_key=${API_KEY}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('refunds a number the provider cancelled', async () => {
+  await setScenario({});
+  const { body } = await get('/api/getNumber?country=india_115');
+  
+  const cancelled = await get('/api/cancelNumber?id=' + body.id);
+  
+  assert.strictEqual(cancelled.body.success, true);
+  assert.strictEqual(cancelled.body.refundAmount, 100);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 1000);
+});
+
+test('keeps the charge and the number when the provider refuses the cancel', async () => {
+  await setScenario({ countries: { 115: { cancelReply: 'EARLY_CANCEL_DENIED', otpAfter: null } } });
+  const { body } = await get('/api/getNumber?country=india_115');
+  
+  const cancelled = await get('/api/cancelNumber?id=' + body.id);
+  
+  assert.strictEqual(cancelled.status, 400);
+  assert.strictEqual(cancelled.body.data, 'EARLY_CANCEL_DENIED');
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 900);
+  
+  const active = fakeFirebase.read('activeTransactions/u1/' + body.id);
+  assert.ok(active);
+  assert.strictEqual(active.closingAt, undefined);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_commissions';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers({ CRON_SECRET: 'test-cron-secret' });
+});
+
+test.after(() => servers.close());
+
+// A number sold through reseller r1 whose commission hold has run out
+test.beforeEach(() => {
+  const releaseAt = Date.now() - 60 * 1000;
+  
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'buyer@example.com', wallet: 0, apiKeyHash: hashApiKey(API_KEY) }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    userHistory: {
+      u1: {
+        h1: { transactionId: 'T1', number: '919000000001', provider: 'firexotp', status: 'success', price: 110, commission: 10, resellerId: 'r1', saleId: 'S1', timestamp: Date.now() }
+      }
+    },
+    resellers: { r1: { wallet: 0, pendingCommission: 10 } },
+    resellerSales: {
+      r1: { S1: { id: 'S1', userId: 'u1', amount: 110, commission: 10, transactionId: 'T1', holdStatus: 'pending', releaseAt: releaseAt } }
+    },
+    commissionHolds: { S1: { saleId: 'S1', resellerId: 'r1', releaseAt: releaseAt } }
+  });
+});
+
+async function runExpiryCron() {
+  const response = await fetch(servers.apiUrl + '/api/cron/expireNumbers', {
+    headers: { 'Authorization': 'Bearer test-cron-secret' }
+  });
+  assert.strictEqual(response.status, 200);
+}
+
+test('releases commission once the hold has run out', async () => {
+  await runExpiryCron();
+  
+  assert.strictEqual(fakeFirebase.read('resellerSales/r1/S1/holdStatus'), 'released');
+  assert.strictEqual(fakeFirebase.read('resellers/r1/wallet'), 10);
+});
+
+test('keeps the commission on hold while the sale has an open dispute', async () => {
+  const response = await fetch(`${servers.apiUrl}/api/reportNumber?id=T1&reason=banned&api_key=${API_KEY}`);
+  assert.strictEqual((await response.json()).success, true);
+  
+  await runExpiryCron();
+  
+  assert.strictEqual(fakeFirebase.read('resellerSales/r1/S1/holdStatus'), 'pending');
+  assert.strictEqual(fakeFirebase.read('resellerSales/r1/S1/disputeStatus'), 'open');
+  assert.ok(fakeFirebase.read('commissionHolds/S1'));
+  assert.strictEqual(fakeFirebase.read('resellers/r1/wallet'), 0);
+});
+
+test('releases each of two sales made in the same millisecond', async () => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'buyer@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), referredBy: 'r1', maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    resellers: { r1: { wallet: 0, commissionPercent: 10 } },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+  
+  const realNow = Date.now;
+  const frozen = realNow();
+  const bought = [];
+  Date.now = () => frozen;
+  try {
+    for (let i = 0; i < 2; i++) {
+      const response = await fetch(`${servers.apiUrl}/api/getNumber?country=india_115&api_key=${API_KEY}`);
+      bought.push(await response.json());
+    }
+  } finally {
+    Date.now = realNow;
+  }
+  
+  // Both OTPs arrive, which starts each sale's hold
+  for (const { id } of bought) {
+    await fetch(`${servers.mockUrl}/__mock/activations/${id}/sms`, { method: 'POST' });
+    await fetch(`${servers.apiUrl}/api/getOtp?id=${id}&api_key=${API_KEY}`);
+  }
+  
+  const holds = fakeFirebase.read('commissionHolds');
+  assert.strictEqual(Object.keys(holds).length, 2);
+  
+  // Let both holds run out
+  const root = fakeFirebase.read('');
+  Object.values(root.commissionHolds).forEach(hold => {
+    hold.releaseAt = Date.now() - 1000;
+    root.resellerSales.r1[hold.saleId].releaseAt = hold.releaseAt;
+  });
+  fakeFirebase.seed(root);
+  
+  await runExpiryCron();
+  
+  assert.strictEqual(fakeFirebase.read('resellers/r1/wallet'), 20);
+  assert.strictEqual(fakeFirebase.read('resellers/r1/pendingCommission'), 0);
+  assert.deepStrictEqual(Object.keys(fakeFirebase.read('commissionHolds') || {}), []);
+});
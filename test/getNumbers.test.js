@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_bulk';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+function seedUser(wallet) {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'bulk@example.com', wallet: wallet, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 20 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' },
+      // No such upstream is configured, so buying this one throws inside acquireNumber
+      broken_1: { service: 'whatsapp', code: '1', name: 'Broken', country: 'India', price: 40, provider: 'missing' }
+    }
+  });
+}
+
+async function getNumbers(body) {
+  const response = await fetch(servers.apiUrl + '/api/getNumbers', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ api_key: API_KEY, ...body })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('fills a batch and charges only for the numbers bought', async () => {
+  seedUser(1000);
+  
+  const { body } = await getNumbers({ country: 'india_115', quantity: 2 });
+  
+  assert.strictEqual(body.status, 'completed');
+  assert.strictEqual(body.filled, 2);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 800);
+});
+
+test('refunds the unfilled part when a purchase throws partway through the batch', async () => {
+  seedUser(1000);
+  
+  const { status } = await getNumbers({
+    items: [
+      { country: 'india_115', quantity: 2 },
+      { country: 'broken_1', quantity: 3 }
+    ]
+  });
+  
+  assert.strictEqual(status, 500);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 800);
+  
+  const batch = Object.values(fakeFirebase.read('numberBatches/u1'))[0];
+  assert.strictEqual(batch.status, 'partial');
+  assert.strictEqual(batch.filled, 2);
+  assert.strictEqual(batch.charged, 200);
+  assert.strictEqual(batch.refunded, 120);
+  assert.deepStrictEqual(Object.values(batch.items).map(item => item.filled), [2, 0]);
+  assert.strictEqual(Object.values(batch.failures)[0].service, 'broken_1');
+});
+
+test('keeps a number that was charged before its purchase failed', async () => {
+  seedUser(1000);
+  fakeFirebase.failNextWrite('userHistory/u1');
+  
+  const { status } = await getNumbers({ country: 'india_115', quantity: 3 });
+  
+  assert.strictEqual(status, 500);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 900);
+  assert.strictEqual(fakeFirebase.read('users/u1/activeCount'), 1);
+  
+  const [active] = Object.values(fakeFirebase.read('activeTransactions/u1'));
+  const batch = Object.values(fakeFirebase.read('numberBatches/u1'))[0];
+  assert.strictEqual(batch.filled, 1);
+  assert.strictEqual(batch.refunded, 200);
+  assert.deepStrictEqual(Object.keys(batch.numbers), [active.id]);
+});
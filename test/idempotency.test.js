@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_idempotency';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'retry@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+});
+
+async function getNumber(key) {
+  const response = await fetch(`${servers.apiUrl}/api/getNumber?country=india_115&api_key=${API_KEY}`, {
+    headers: { 'Idempotency-Key': key }
+  });
+  return { status: response.status, body: await response.json(), replayed: response.headers.get('idempotent-replayed') };
+}
+
+test('a retry after a failure that charged nothing buys normally', async () => {
+  fakeFirebase.failNextWrite('users/u1/activeCount');
+  
+  const first = await getNumber('key-uncharged');
+  assert.strictEqual(first.status, 500);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 1000);
+  
+  const retry = await getNumber('key-uncharged');
+  assert.strictEqual(retry.body.success, true);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 900);
+});
+
+test('a retry after a failure past the charge returns the stored failure instead of buying again', async () => {
+  fakeFirebase.failNextWrite('userHistory/u1');
+  
+  const first = await getNumber('key-charged');
+  assert.strictEqual(first.status, 500);
+  assert.strictEqual(first.body.code, 'PURCHASE_INCOMPLETE');
+  assert.ok(first.body.id);
+  
+  const retry = await getNumber('key-charged');
+  assert.strictEqual(retry.replayed, 'true');
+  assert.deepStrictEqual(retry.body, first.body);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 900);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_next_sms';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+async function get(path) {
+  const separator = path.includes('?') ? '&' : '?';
+  const response = await fetch(`${servers.apiUrl}${path}${separator}api_key=${API_KEY}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Buys a number and turns it into one that received its code and was closed
+async function seedCompletedNumber() {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'next@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+  
+  const { body } = await get('/api/getNumber?country=india_115');
+  
+  const root = fakeFirebase.read('');
+  const [historyKey] = Object.keys(root.userHistory.u1);
+  Object.assign(root.userHistory.u1[historyKey], {
+    status: 'success',
+    otp: '123456',
+    completedAt: Date.now(),
+    saleId: 'SALE1',
+    batchId: 'BATCH1',
+    reservationId: 'r1'
+  });
+  delete root.activeTransactions;
+  root.users.u1.activeCount = 0;
+  fakeFirebase.seed(root);
+  
+  return body.id;
+}
+
+test('reopens the number with its full purchase record', async () => {
+  const id = await seedCompletedNumber();
+  
+  const { body } = await get('/api/requestNextSms?id=' + id);
+  assert.strictEqual(body.success, true, body.error);
+  
+  const active = fakeFirebase.read('activeTransactions/u1/' + id);
+  assert.strictEqual(active.saleId, 'SALE1');
+  assert.strictEqual(active.batchId, 'BATCH1');
+  assert.strictEqual(active.reservationId, 'r1');
+  assert.strictEqual(active.closingAt, undefined);
+  assert.strictEqual(active.status, undefined);
+  assert.deepStrictEqual(Object.values(active.codes).map(code => code.code), ['123456']);
+});
+
+test('parallel requests ask the provider for another SMS only once', async () => {
+  const id = await seedCompletedNumber();
+  
+  const results = await Promise.all([1, 2, 3].map(() => get('/api/requestNextSms?id=' + id)));
+  
+  assert.strictEqual(results.filter(result => result.body.message === 'Waiting for the next SMS').length, 1);
+  assert.strictEqual(fakeFirebase.read('users/u1/activeCount'), 1);
+});
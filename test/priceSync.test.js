@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers({ CRON_SECRET: 'test-cron-secret' });
+  
+  // getPrices lists only the countries the scenario names
+  await fetch(servers.mockUrl + '/__mock/scenario', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ default: { cost: 40 }, countries: { 115: {}, 116: {}, 117: {} } })
+  });
+});
+
+test.after(() => servers.close());
+
+function seedCatalog(pricingRules) {
+  fakeFirebase.seed({
+    catalog: {
+      hand_set: { service: 'whatsapp', code: '115', name: 'Hand set', country: 'India', price: 100, provider: 'firexotp' },
+      auto: { service: 'whatsapp', code: '116', name: 'Auto', country: 'India', price: 100, provider: 'firexotp', autoPrice: true },
+      fixed: { service: 'whatsapp', code: '117', name: 'Fixed', country: 'India', price: 100, provider: 'firexotp', autoPrice: false }
+    },
+    pricingRules: pricingRules
+  });
+}
+
+async function runPriceSync() {
+  const response = await fetch(servers.apiUrl + '/api/cron/syncPrices', {
+    headers: { 'Authorization': 'Bearer test-cron-secret' }
+  });
+  assert.strictEqual(response.status, 200);
+}
+
+test('without an admin rule only entries marked autoPrice are repriced', async () => {
+  seedCatalog(null);
+  
+  await runPriceSync();
+  
+  assert.strictEqual(fakeFirebase.read('catalog/hand_set/price'), 100);
+  assert.strictEqual(fakeFirebase.read('catalog/hand_set/cost'), 40);
+  assert.strictEqual(fakeFirebase.read('catalog/auto/price'), 52);
+  assert.strictEqual(fakeFirebase.read('catalog/fixed/price'), 100);
+});
+
+test('an admin default rule reprices every entry not marked autoPrice false', async () => {
+  seedCatalog({ default: { percent: 50 } });
+  
+  await runPriceSync();
+  
+  assert.strictEqual(fakeFirebase.read('catalog/hand_set/price'), 60);
+  assert.strictEqual(fakeFirebase.read('catalog/auto/price'), 60);
+  assert.strictEqual(fakeFirebase.read('catalog/fixed/price'), 100);
+  assert.strictEqual(fakeFirebase.read('catalog/fixed/cost'), 40);
+});
+
+test('a per-service override reprices just that entry', async () => {
+  seedCatalog({ overrides: { hand_set: { percent: 0, fixed: 5 } } });
+  
+  await runPriceSync();
+  
+  assert.strictEqual(fakeFirebase.read('catalog/hand_set/price'), 45);
+  assert.strictEqual(fakeFirebase.read('catalog/fixed/price'), 100);
+});
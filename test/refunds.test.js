@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_refunds';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers({ CRON_SECRET: 'test-cron-secret' });
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'refunds@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+});
+
+// Buys a number, then makes it look like an expired one whose closer crashed 3 minutes ago
+async function buyStaleNumber(extra) {
+  const response = await fetch(`${servers.apiUrl}/api/getNumber?country=india_115&api_key=${API_KEY}`);
+  const { id } = await response.json();
+  
+  const root = fakeFirebase.read('');
+  const crashedAt = Date.now() - 3 * 60 * 1000;
+  Object.assign(root.activeTransactions.u1[id], { expiresAt: crashedAt, closingAt: crashedAt, ...extra });
+  fakeFirebase.seed(root);
+  
+  return id;
+}
+
+async function runExpirySweep() {
+  const response = await fetch(servers.apiUrl + '/api/cron/expireNumbers', {
+    headers: { 'Authorization': 'Bearer test-cron-secret' }
+  });
+  assert.strictEqual(response.status, 200);
+}
+
+test('a reclaimed transaction that was never refunded is refunded once', async () => {
+  const id = await buyStaleNumber({});
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 900);
+  
+  await runExpirySweep();
+  
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 1000);
+  assert.strictEqual(fakeFirebase.read('activeTransactions/u1/' + id), null);
+});
+
+test('a reclaimed transaction that was already refunded is not refunded again', async () => {
+  const id = await buyStaleNumber({ refundedAt: Date.now() - 3 * 60 * 1000 });
+  
+  await runExpirySweep();
+  
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 900);
+  assert.strictEqual(fakeFirebase.read('activeTransactions/u1/' + id), null);
+  assert.strictEqual(fakeFirebase.read('users/u1/activeCount'), 0);
+});
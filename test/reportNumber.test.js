@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_report';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'report@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+});
+
+async function get(path) {
+  const separator = path.includes('?') ? '&' : '?';
+  const response = await fetch(`${servers.apiUrl}${path}${separator}api_key=${API_KEY}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Buys a number and collects its code, which closes it
+async function buyAndReceiveCode() {
+  const { body } = await get('/api/getNumber?country=india_115');
+  await fetch(`${servers.mockUrl}/__mock/activations/${body.id}/sms`, { method: 'POST' });
+  await get('/api/getOtp?id=' + body.id);
+  return body.id;
+}
+
+async function upstreamStatus(id) {
+  const response = await fetch(servers.mockUrl + '/__mock/state');
+  return (await response.json()).activations[id].status;
+}
+
+test('opens a dispute on a number that received its code', async () => {
+  const id = await buyAndReceiveCode();
+  
+  const { body } = await get(`/api/reportNumber?id=${id}&reason=banned`);
+  
+  assert.strictEqual(body.success, true, body.error);
+  assert.strictEqual(fakeFirebase.read('disputes/' + body.disputeId).status, 'open');
+  assert.strictEqual((await get(`/api/reportNumber?id=${id}&reason=banned`)).status, 409);
+});
+
+test('refuses to report a number reopened for another SMS and leaves it live upstream', async () => {
+  const id = await buyAndReceiveCode();
+  assert.strictEqual((await get('/api/requestNextSms?id=' + id)).body.success, true);
+  
+  const { status } = await get(`/api/reportNumber?id=${id}&reason=banned`);
+  
+  assert.strictEqual(status, 400);
+  assert.notStrictEqual(await upstreamStatus(id), 'CANCEL');
+  assert.strictEqual(fakeFirebase.read('disputes'), null);
+});
+
+test('a report whose dispute could not be saved can be sent again', async () => {
+  const id = await buyAndReceiveCode();
+  fakeFirebase.failNextWrite('disputes/');
+  
+  assert.strictEqual((await get(`/api/reportNumber?id=${id}&reason=banned`)).status, 500);
+  
+  const { body } = await get(`/api/reportNumber?id=${id}&reason=banned`);
+  assert.strictEqual(body.success, true, body.error);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_resale';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'referred@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), referredBy: 'r1', maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    resellers: { r1: { wallet: 0, commissionPercent: 10 } },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+});
+
+async function get(path) {
+  const separator = path.includes('?') ? '&' : '?';
+  const response = await fetch(`${servers.apiUrl}${path}${separator}api_key=${API_KEY}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Both sales get the same clock reading, as purchases inside one batch often do
+async function buyTwoInOneMillisecond() {
+  const realNow = Date.now;
+  const frozen = realNow();
+  Date.now = () => frozen;
+  
+  try {
+    return [await get('/api/getNumber?country=india_115'), await get('/api/getNumber?country=india_115')];
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('sales in the same millisecond are kept apart and each is reversed on cancel', async () => {
+  const [first, second] = await buyTwoInOneMillisecond();
+  
+  assert.strictEqual(Object.keys(fakeFirebase.read('resellerSales/r1')).length, 2);
+  assert.strictEqual(fakeFirebase.read('resellers/r1/pendingCommission'), 20);
+  
+  assert.strictEqual((await get('/api/cancelNumber?id=' + first.body.id)).body.success, true);
+  assert.strictEqual((await get('/api/cancelNumber?id=' + second.body.id)).body.success, true);
+  
+  assert.strictEqual(fakeFirebase.read('resellers/r1/pendingCommission'), 0);
+  Object.values(fakeFirebase.read('resellerSales/r1')).forEach(sale => {
+    assert.strictEqual(sale.reversedCommission, 10);
+  });
+});
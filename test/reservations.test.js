@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_reservations';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers({ CRON_SECRET: 'test-cron-secret' });
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'queue@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), maxActiveNumbers: 5 }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' },
+    catalog: {
+      india_115: { service: 'whatsapp', code: '115', name: 'WhatsApp Indian', country: 'India', price: 100, provider: 'firexotp' }
+    }
+  });
+});
+
+async function runReservationWorker() {
+  const response = await fetch(servers.apiUrl + '/api/cron/reservations', {
+    headers: { 'Authorization': 'Bearer test-cron-secret' }
+  });
+  assert.strictEqual(response.status, 200);
+}
+
+test('a reservation whose worker crashed after buying is finished with that number', async () => {
+  const response = await fetch(`${servers.apiUrl}/api/getNumber?country=india_115&api_key=${API_KEY}`);
+  const bought = await response.json();
+  
+  // The worker bought the number, then died before marking the reservation fulfilled
+  const root = fakeFirebase.read('');
+  const crashedAt = Date.now() - 2 * 60 * 1000;
+  root.reservations = {
+    r1: {
+      id: 'r1',
+      uid: 'u1',
+      service: 'india_115',
+      maxPrice: 100,
+      held: 100,
+      historyKey: 'h1',
+      status: 'waiting',
+      attempts: 0,
+      processingAt: crashedAt,
+      acquired: { id: bought.id, number: bought.number, provider: 'firexotp' },
+      createdAt: crashedAt,
+      expiresAt: Date.now() + 10 * 60 * 1000
+    }
+  };
+  fakeFirebase.seed(root);
+  
+  await runReservationWorker();
+  
+  const reservation = fakeFirebase.read('reservations/r1');
+  assert.strictEqual(reservation.status, 'fulfilled');
+  assert.strictEqual(reservation.transactionId, bought.id);
+  assert.deepStrictEqual(Object.keys(fakeFirebase.read('activeTransactions/u1')), [bought.id]);
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 900);
+});
+
+test('an expired reservation is refunded once even when closing it crashed halfway', async () => {
+  const root = fakeFirebase.read('');
+  root.users.u1.wallet = 900;
+  root.users.u1.activeCount = 1;
+  root.reservations = {
+    r2: {
+      id: 'r2',
+      uid: 'u1',
+      service: 'india_115',
+      maxPrice: 100,
+      held: 100,
+      historyKey: 'h2',
+      status: 'waiting',
+      attempts: 0,
+      createdAt: Date.now() - 20 * 60 * 1000,
+      expiresAt: Date.now() - 60 * 1000
+    }
+  };
+  fakeFirebase.seed(root);
+  
+  // The worker refunds, then dies before the slot is released
+  fakeFirebase.failNextWrite('users/u1/activeCount');
+  await runReservationWorker();
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 1000);
+  
+  // Its lock runs out and the next pass looks at the reservation again
+  const afterCrash = fakeFirebase.read('');
+  afterCrash.reservations.r2.processingAt = Date.now() - 2 * 60 * 1000;
+  fakeFirebase.seed(afterCrash);
+  await runReservationWorker();
+  
+  assert.strictEqual(fakeFirebase.read('users/u1/wallet'), 1000);
+  assert.strictEqual(fakeFirebase.read('reservations/r2/status'), 'expired');
+});
@@ -0,0 +1,224 @@
+// In-memory stand-in for the parts of firebase-admin the API uses, so route tests run without a
+// real database. Load it with installFakeFirebase() before requiring api/index.js.
+const Module = require('module');
+
+const state = { root: {}, tokens: {}, pushCounter: 0, failingPaths: [] };
+
+function split(path) {
+  return String(path || '').split('/').filter(Boolean);
+}
+
+function clone(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function getIn(value, parts) {
+  for (const part of parts) {
+    if (value === null || value === undefined || typeof value !== 'object') return null;
+    value = value[part];
+  }
+  return value === undefined ? null : value;
+}
+
+// Firebase never stores empty objects or nulls
+function prune(value) {
+  if (value === null || value === undefined || typeof value !== 'object') return value === undefined ? null : value;
+  
+  const out = {};
+  Object.entries(value).forEach(([key, child]) => {
+    const cleaned = prune(child);
+    if (cleaned !== null) out[key] = cleaned;
+  });
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+// Resolves ServerValue.increment() placeholders against the current data
+function resolve(parts, value) {
+  if (value && typeof value === 'object' && value.__increment !== undefined) {
+    return (getIn(state.root, parts) || 0) + value.__increment;
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.entries(value).forEach(([key, child]) => {
+      out[key] = resolve(parts.concat(key), child);
+    });
+    return out;
+  }
+  return value;
+}
+
+// Simulates a database error on the next write under a path (see failNextWrite)
+function checkWrite(parts) {
+  const path = parts.join('/');
+  const index = state.failingPaths.findIndex(prefix => path.startsWith(prefix));
+  
+  if (index !== -1) {
+    state.failingPaths.splice(index, 1);
+    throw new Error(`Simulated write failure at ${path}`);
+  }
+}
+
+function setAt(parts, value) {
+  checkWrite(parts);
+  value = prune(clone(resolve(parts, value)));
+  
+  if (parts.length === 0) {
+    state.root = value || {};
+    return;
+  }
+  
+  let node = state.root;
+  parts.slice(0, -1).forEach(part => {
+    if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+    node = node[part];
+  });
+  
+  if (value === null) {
+    delete node[parts[parts.length - 1]];
+  } else {
+    node[parts[parts.length - 1]] = value;
+  }
+}
+
+function snapshot(key, value) {
+  value = clone(value);
+  return {
+    key: key,
+    val: () => value,
+    exists: () => value !== null,
+    numChildren: () => (value && typeof value === 'object' ? Object.keys(value).length : 0),
+    child: path => snapshot(path, getIn(value, split(path))),
+    forEach(callback) {
+      if (!value || typeof value !== 'object') return false;
+      return Object.keys(value).some(childKey => callback(snapshot(childKey, value[childKey])) === true);
+    }
+  };
+}
+
+function applyQuery(value, query) {
+  if (!value || typeof value !== 'object' || Object.keys(query).length === 0) return value;
+  
+  const field = ([key, child]) => (query.orderBy === '$key' ? key : getIn(child, split(query.orderBy)));
+  let entries = Object.entries(value);
+  
+  if (query.orderBy) {
+    entries.sort((a, b) => (field(a) < field(b) ? -1 : field(a) > field(b) ? 1 : 0));
+  }
+  if (query.equalTo !== undefined) entries = entries.filter(entry => field(entry) === query.equalTo);
+  if (query.startAt !== undefined) entries = entries.filter(entry => field(entry) >= query.startAt);
+  if (query.endAt !== undefined) entries = entries.filter(entry => field(entry) <= query.endAt);
+  if (query.limitToFirst) entries = entries.slice(0, query.limitToFirst);
+  if (query.limitToLast) entries = entries.slice(-query.limitToLast);
+  
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+function ref(path, query = {}) {
+  const parts = split(path);
+  const withQuery = extra => ref(path, { ...query, ...extra });
+  
+  const reference = {
+    key: parts[parts.length - 1] || null,
+    child: childPath => ref(parts.concat(split(childPath)).join('/')),
+    push(value) {
+      state.pushCounter++;
+      const key = '-T' + String(Date.now()).padStart(14, '0') + String(state.pushCounter).padStart(6, '0');
+      const child = ref(parts.concat(key).join('/'));
+      
+      if (value !== undefined) {
+        setAt(parts.concat(key), value);
+        const written = Promise.resolve();
+        child.then = written.then.bind(written);
+      }
+      return child;
+    },
+    async set(value) {
+      setAt(parts, value);
+    },
+    async update(values) {
+      Object.entries(values).forEach(([childPath, value]) => setAt(parts.concat(split(childPath)), value));
+    },
+    async remove() {
+      setAt(parts, null);
+    },
+    async transaction(update) {
+      const current = getIn(state.root, parts);
+      const next = update(clone(current));
+      
+      if (next === undefined) {
+        return { committed: false, snapshot: snapshot(reference.key, current) };
+      }
+      setAt(parts, next);
+      return { committed: true, snapshot: snapshot(reference.key, getIn(state.root, parts)) };
+    },
+    async once() {
+      return snapshot(reference.key, applyQuery(getIn(state.root, parts), query));
+    },
+    orderByChild: child => withQuery({ orderBy: child }),
+    orderByKey: () => withQuery({ orderBy: '$key' }),
+    equalTo: value => withQuery({ equalTo: value }),
+    startAt: value => withQuery({ startAt: value }),
+    endAt: value => withQuery({ endAt: value }),
+    limitToFirst: count => withQuery({ limitToFirst: count }),
+    limitToLast: count => withQuery({ limitToLast: count })
+  };
+  
+  return reference;
+}
+
+const database = () => ({ ref });
+database.ServerValue = {
+  increment: amount => ({ __increment: amount }),
+  TIMESTAMP: { '.sv': 'timestamp' }
+};
+
+const fakeAdmin = {
+  apps: [{}],
+  initializeApp() {},
+  credential: { cert: () => ({}) },
+  database,
+  auth: () => ({
+    async verifyIdToken(token) {
+      if (!state.tokens[token]) throw new Error('Invalid token');
+      return state.tokens[token];
+    },
+    async createUser() {
+      state.pushCounter++;
+      return { uid: 'user' + state.pushCounter };
+    },
+    async deleteUser() {},
+    async getUserByEmail() {
+      throw new Error('User not found');
+    }
+  })
+};
+
+function installFakeFirebase() {
+  const originalLoad = Module._load;
+  Module._load = function (request, ...rest) {
+    if (request === 'firebase-admin') return fakeAdmin;
+    return originalLoad.call(this, request, ...rest);
+  };
+}
+
+// Replaces the whole database
+function seed(data) {
+  state.root = clone(data) || {};
+  state.failingPaths = [];
+}
+
+function failNextWrite(pathPrefix) {
+  state.failingPaths.push(pathPrefix);
+}
+
+function read(path) {
+  return clone(getIn(state.root, split(path)));
+}
+
+module.exports = {
+  installFakeFirebase,
+  seed,
+  read,
+  failNextWrite,
+  tokens: state.tokens
+};
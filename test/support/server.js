@@ -0,0 +1,38 @@
+// Starts the mock upstream and the API (on the fake database) on free ports
+const { installFakeFirebase } = require('./fakeFirebase');
+
+async function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function startServers(env = {}) {
+  // The test runner reads its own messages from stdout, and Node 20's parser can trip over
+  // interleaved request logs - keep the servers' logging on stderr
+  console.log = console.error;
+  
+  const mockProvider = require('../../mock/mock-provider');
+  const mockServer = await listen(mockProvider);
+  
+  process.env.MOCK_PROVIDER_URL = `http://127.0.0.1:${mockServer.address().port}/stubs/handler_api.php`;
+  Object.assign(process.env, env);
+  
+  installFakeFirebase();
+  const app = require('../../api/index');
+  const apiServer = await listen(app);
+  
+  const apiUrl = `http://127.0.0.1:${apiServer.address().port}`;
+  const mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+  
+  return {
+    apiUrl,
+    mockUrl,
+    close() {
+      apiServer.close();
+      mockServer.close();
+    }
+  };
+}
+
+module.exports = { startServers };
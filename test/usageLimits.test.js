@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashApiKey } = require('../api/apiKeys');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+const API_KEY = 'sk_test_limits';
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers();
+});
+
+test.after(() => servers.close());
+
+function seedUser(extra) {
+  fakeFirebase.seed({
+    users: {
+      u1: { email: 'limits@example.com', wallet: 1000, apiKeyHash: hashApiKey(API_KEY), ...extra }
+    },
+    apiKeyIndex: { [hashApiKey(API_KEY)]: 'u1' }
+  });
+}
+
+async function getBalance() {
+  const response = await fetch(`${servers.apiUrl}/api/getBalance?api_key=${API_KEY}`);
+  return { status: response.status, headers: response.headers };
+}
+
+test('accounts without configured limits are not counted or limited', async () => {
+  seedUser({});
+  
+  for (let i = 0; i < 5; i++) {
+    const { status, headers } = await getBalance();
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get('ratelimit-limit'), null);
+  }
+  
+  assert.strictEqual(fakeFirebase.read('usageCounters/u1'), null);
+});
+
+test('a per-account limit is enforced once set', async () => {
+  seedUser({ limits: { requestsPerMinute: 2 } });
+  
+  assert.strictEqual((await getBalance()).headers.get('ratelimit-limit'), '2');
+  assert.strictEqual((await getBalance()).status, 200);
+  
+  const limited = await getBalance();
+  assert.strictEqual(limited.status, 429);
+  assert.ok(limited.headers.get('retry-after'));
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeFirebase = require('./support/fakeFirebase');
+const { startServers } = require('./support/server');
+
+let servers;
+
+test.before(async () => {
+  servers = await startServers({ CRON_SECRET: 'test-cron-secret' });
+});
+
+test.after(() => servers.close());
+
+test.beforeEach(() => {
+  fakeFirebase.seed({ users: { u1: { email: 'hooks@example.com', wallet: 0 } } });
+  fakeFirebase.tokens.session1 = { uid: 'u1' };
+});
+
+async function post(path, body) {
+  const response = await fetch(servers.apiUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer session1' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('refuses webhook URLs that are not https or point inside the network', async () => {
+  const refused = [
+    'http://93.184.216.34/hook',
+    'https://localhost/hook',
+    'https://127.0.0.1/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://10.0.0.5/hook',
+    'https://192.168.1.20/hook',
+    'https://[::1]/hook',
+    'https://[fd00::1]/hook'
+  ];
+  
+  for (const url of refused) {
+    const { status } = await post('/api/dashboard/webhook', { url });
+    assert.strictEqual(status, 400, url);
+  }
+  
+  const { status, body } = await post('/api/dashboard/webhook', { url: 'https://93.184.216.34/hook' });
+  assert.strictEqual(status, 200, body.error);
+});
+
+test('replays only to the stored URL and checks it again', async () => {
+  fakeFirebase.seed({
+    users: { u1: { email: 'hooks@example.com', wallet: 0 } },
+    webhookDeliveries: {
+      d1: { id: 'd1', uid: 'u1', event: 'number.purchased', url: 'http://127.0.0.1:9/hook', payload: { id: 'd1' }, status: 'failed' }
+    }
+  });
+  
+  const { status } = await post('/api/dashboard/webhook/deliveries/d1/replay', { url: 'https://93.184.216.34/hook' });
+  
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(Object.keys(fakeFirebase.read('webhookDeliveries')), ['d1']);
+});
+
+test('fails queued deliveries whose URL now resolves to a private address', async () => {
+  fakeFirebase.seed({
+    users: { u1: { email: 'hooks@example.com', wallet: 0 } },
+    webhookDeliveries: {
+      d1: { id: 'd1', uid: 'u1', event: 'number.purchased', url: 'https://127.0.0.1/hook', payload: { id: 'd1' }, status: 'pending', attempts: 0, nextAttemptAt: 0, createdAt: Date.now() }
+    }
+  });
+  
+  const response = await fetch(servers.apiUrl + '/api/cron/webhooks', {
+    headers: { 'Authorization': 'Bearer test-cron-secret' }
+  });
+  assert.strictEqual(response.status, 200);
+  
+  const delivery = fakeFirebase.read('webhookDeliveries/d1');
+  assert.strictEqual(delivery.status, 'failed');
+  assert.match(delivery.lastError, /private/);
+});